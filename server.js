@@ -1,13 +1,168 @@
 import express from 'express';
 import { createServer } from 'node:http';
+import { createServer as createHttpsServer } from 'node:https';
 import { Server } from 'socket.io';
 import { fileURLToPath } from 'node:url';
-import { dirname, join } from 'node:path';
+import { dirname, join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
 import { spawn, exec } from 'node:child_process';
 import https from 'node:https';
+import dgram from 'node:dgram';
+import { Buffer } from 'node:buffer';
+import { setImmediate } from 'node:timers';
+import process from 'node:process';
+import crypto from 'node:crypto';
 import os from 'os';
 import fs from 'fs';
 import readline from 'readline';
+import forge from 'node-forge';
+import { Bonjour } from 'bonjour-service';
+
+// Files we own (cloudflared binary, saved state) live next to the exe when packaged
+const DATA_DIR = process.pkg ? dirname(process.execPath) : process.cwd();
+
+// --- CONFIGURATION ---
+// Defaults, overridden by sunstop.config.json (next to the saved state, or
+// --config <file>), overridden by command-line flags.
+const CONFIG_FILE = 'sunstop.config.json';
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const DEFAULT_CONFIG = {
+    port: 3000,
+    host: '0.0.0.0',
+    browser: true,
+    logFile: 'debug.log',
+    logLevel: 'info',
+    mode: 'COUNT_UP',
+    time: 0,
+    corsOrigins: ['*'],
+    https: false,
+    httpsPort: 3443,
+    mdns: true,
+    name: null,
+    // Fixed director token for API clients (Stream Deck, scripts) that must keep
+    // working across restarts; null for a new random one on every run
+    directorToken: null,
+    // UDP port for OSC control, null for none. OSC has no credentials: anyone who
+    // can reach the port controls the timers, so it is only opened when asked for.
+    oscPort: null
+};
+
+const CLI_OPTIONS = {
+    config: { type: 'string', short: 'c', value: '<file>', help: `Config file (default: ${CONFIG_FILE} if present)` },
+    port: { type: 'string', short: 'p', value: '<port>', help: `HTTP port, next free one if busy (default: ${DEFAULT_CONFIG.port})` },
+    host: { type: 'string', value: '<address>', help: `Interface to listen on (default: ${DEFAULT_CONFIG.host}, all)` },
+    'no-browser': { type: 'boolean', help: 'Do not open the director view in a browser' },
+    'log-file': { type: 'string', value: '<path>', help: `Debug log file, empty for none (default: ./${DEFAULT_CONFIG.logFile})` },
+    'log-level': { type: 'string', value: '<level>', help: `${LOG_LEVELS.join(' | ')} (default: ${DEFAULT_CONFIG.logLevel})` },
+    mode: { type: 'string', value: '<mode>', help: 'Overtime mode of new rooms: COUNT_UP | STOP (default: COUNT_UP)' },
+    time: { type: 'string', value: '<duration>', help: 'Initial time of new rooms, seconds or [H:]MM:SS (default: 0)' },
+    cors: { type: 'string', value: '<origins>', help: 'Comma-separated origins allowed to connect (default: *)' },
+    https: { type: 'boolean', help: 'Also serve HTTPS with a locally generated certificate' },
+    'https-port': { type: 'string', value: '<port>', help: `HTTPS port (default: ${DEFAULT_CONFIG.httpsPort})` },
+    'osc-port': { type: 'string', value: '<port|off>', help: `OSC control port, UDP (default: ${DEFAULT_CONFIG.oscPort ?? 'off'})` },
+    'no-mdns': { type: 'boolean', help: 'Do not advertise this server on the network (mDNS/Bonjour)' },
+    name: { type: 'string', value: '<name>', help: 'Name shown when discovering timers (default: Sun Stop Timer (<hostname>))' },
+    'director-token': { type: 'string', value: '<token>', help: 'Fixed director/API token, at least 16 of A-Z a-z 0-9 _ - (default: random per run)' },
+    help: { type: 'boolean', short: 'h', help: 'Show this help' }
+};
+
+const printHelp = () => {
+    console.log('Usage: sunstop [options]\n\nOptions:');
+    Object.entries(CLI_OPTIONS).forEach(([name, option]) => {
+        const flag = `${option.short ? `-${option.short}, ` : '    '}--${name}${option.value ? ` ${option.value}` : ''}`;
+        console.log(`  ${flag.padEnd(30)} ${option.help}`);
+    });
+    console.log(`\nThe config file takes the same settings as JSON: ${Object.keys(DEFAULT_CONFIG).join(', ')}.`);
+};
+
+// "90" seconds, "05:00" or "1:30:00"
+const parseDurationSetting = (value) => {
+    const parts = String(value).trim().split(':');
+    if (parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) return NaN;
+    return parts.reduce((total, part) => total * 60 + Number(part), 0);
+};
+
+const validateConfig = (config) => {
+    const port = Number(config.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`Invalid port: ${config.port}`);
+    const oscPort = [null, false, 0, '0', 'off'].includes(config.oscPort) ? null : Number(config.oscPort);
+    if (oscPort !== null && (!Number.isInteger(oscPort) || oscPort < 1 || oscPort > 65535)) throw new Error(`Invalid OSC port: ${config.oscPort}`);
+    const httpsPort = Number(config.httpsPort);
+    if (!Number.isInteger(httpsPort) || httpsPort < 1 || httpsPort > 65535) throw new Error(`Invalid HTTPS port: ${config.httpsPort}`);
+    const mode = String(config.mode).toUpperCase().replace('-', '_');
+    if (!['COUNT_UP', 'STOP'].includes(mode)) throw new Error(`Invalid mode: ${config.mode}`);
+    if (!LOG_LEVELS.includes(config.logLevel)) throw new Error(`Invalid log level: ${config.logLevel}`);
+    const time = parseDurationSetting(config.time);
+    if (!Number.isFinite(time)) throw new Error(`Invalid time: ${config.time}`);
+    const corsOrigins = typeof config.corsOrigins === 'string' ? config.corsOrigins.split(',') : config.corsOrigins;
+    if (!Array.isArray(corsOrigins)) throw new Error('corsOrigins must be a list of origins');
+    // It goes into URLs and must not be guessable
+    const directorToken = config.directorToken ? String(config.directorToken) : null;
+    if (directorToken !== null && !/^[\w-]{16,}$/.test(directorToken)) throw new Error('directorToken must be at least 16 characters of A-Z a-z 0-9 _ -');
+    return {
+        ...config,
+        port,
+        httpsPort,
+        oscPort,
+        mode,
+        time,
+        browser: !!config.browser,
+        https: !!config.https,
+        mdns: !!config.mdns,
+        name: config.name ? String(config.name).trim().slice(0, 60) : null,
+        directorToken,
+        host: String(config.host || DEFAULT_CONFIG.host),
+        logFile: config.logFile ? resolve(String(config.logFile)) : null,
+        corsOrigins: corsOrigins.map(origin => String(origin).trim()).filter(Boolean)
+    };
+};
+
+const loadConfig = () => {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: Object.fromEntries(Object.entries(CLI_OPTIONS).map(([name, { type, short }]) => [name, short ? { type, short } : { type }]))
+    });
+    if (values.help) {
+        printHelp();
+        process.exit(0);
+    }
+
+    // An explicit --config must exist; the default one is optional
+    const configPath = values.config ? resolve(values.config) : join(DATA_DIR, CONFIG_FILE);
+    let fileConfig = {};
+    if (values.config || fs.existsSync(configPath)) {
+        fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        console.log(`Using config file ${configPath}`);
+    }
+
+    const flags = Object.fromEntries(Object.entries({
+        port: values.port,
+        host: values.host,
+        browser: values['no-browser'] ? false : undefined,
+        logFile: values['log-file'],
+        logLevel: values['log-level'],
+        mode: values.mode,
+        time: values.time,
+        corsOrigins: values.cors,
+        https: values.https,
+        httpsPort: values['https-port'],
+        oscPort: values['osc-port'],
+        mdns: values['no-mdns'] ? false : undefined,
+        name: values.name,
+        directorToken: values['director-token']
+    }).filter(([, value]) => value !== undefined));
+    return validateConfig({ ...DEFAULT_CONFIG, ...fileConfig, ...flags });
+};
+
+const config = (() => {
+    try {
+        return loadConfig();
+    } catch (err) {
+        console.error(`Configuration error: ${err.message}\nRun with --help for the available options.`);
+        process.exit(1);
+    }
+})();
 
 // Cloudflare tunnel binary management
 const CF_URLS = {
@@ -19,8 +174,7 @@ const CF_URLS = {
 
 const ensureCloudflared = async (onProgress) => {
     const ext = process.platform === 'win32' ? '.exe' : '';
-    const binDir = process.pkg ? dirname(process.execPath) : process.cwd();
-    const binPath = join(binDir, `cloudflared${ext}`);
+    const binPath = join(DATA_DIR, `cloudflared${ext}`);
 
     if (fs.existsSync(binPath)) return binPath;
 
@@ -82,7 +236,7 @@ const app = express();
 const server = createServer(app);
 const io = new Server(server, {
     cors: {
-        origin: "*",
+        origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins,
         methods: ["GET", "POST"]
     }
 });
@@ -90,51 +244,952 @@ const io = new Server(server, {
 const staticPath = join(APP_ROOT, 'dist');
 app.use(express.static(staticPath));
 
-// --- TIMER STATE ---
-let state = {
-    timeLeft: 0,
-    status: 'IDLE',
-    overtimeMode: 'COUNT_UP',
-    lastTick: Date.now()
+// --- ROOMS & TIMER STATE ---
+// Each room is an independent timer: its own state, tick loop and rundown.
+// Sockets join the socket.io room `room:<id>` so updates never cross rooms.
+//
+// A running timer is defined by its absolute `endsAt` (server epoch ms); a stopped
+// or paused one by `remainingMs`. Clients render the countdown themselves from
+// these, so the server only pushes on actual state changes.
+const DEFAULT_ROOM = 'main';
+const rooms = new Map();
+
+const sanitizeRoomId = (id) => {
+    const clean = String(id || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40);
+    return clean || DEFAULT_ROOM;
 };
 
-let timerInterval = null;
+const channel = (room) => `room:${room.id}`;
+
+// Warning stages, longest first: the display takes the colour of the last stage
+// whose time has been reached
+const DEFAULT_THRESHOLDS = [
+    { at: 300, color: '#eab308' },
+    { at: 60, color: '#f97316' }
+];
+const MAX_THRESHOLDS = 5;
+
+// Which moments chime on the devices that opted in: reaching a warning stage,
+// reaching 0:00, and every full minute of overtime
+const DEFAULT_CUES = { thresholds: true, zero: true, overtime: true };
+const OVERTIME_CUE_MS = 60000;
 
-const clearTimer = () => {
-    clearTimeout(timerInterval);
-    timerInterval = null;
+// 99:59:59, the most the six-digit keypad buffer can express
+const MAX_SECONDS = 99 * 3600 + 59 * 60 + 59;
+const clampTime = (seconds) => Math.max(-MAX_SECONDS, Math.min(MAX_SECONDS, Math.round(seconds)));
+
+const createRoom = (id) => ({
+    id,
+    state: {
+        status: 'IDLE',
+        overtimeMode: config.mode,
+        remainingMs: clampTime(config.time) * 1000,
+        endsAt: null,
+        thresholds: DEFAULT_THRESHOLDS.map(t => ({ ...t })),
+        stage: -1,
+        // +/- nudges applied since the timer was last set: [{ at, seconds }]
+        adjustments: [],
+        // Wall-clock target (epoch ms) when counting down to a time of day, else null
+        targetAt: null,
+        // Armed start at a time of day: { at, seconds } (see scheduleStart), else null
+        scheduledStart: null,
+        // An armed start the server was down for, kept until a director dismisses it
+        missedStart: null,
+        // Multi-phase run (talk, Q&A, changeover...): { list, index, carryOverrun }, else null
+        phases: null,
+        cues: { ...DEFAULT_CUES }
+    },
+    timerInterval: null,
+    scheduleTimer: null,
+    // Remaining ms when the tick was scheduled, to tell which cue points were crossed
+    cueFrom: null,
+    // The run in progress for the session report (see SESSION HISTORY)
+    run: null,
+    // Director-to-speaker message shown as a banner; ephemeral, not persisted
+    message: null,
+    messageTimer: null,
+    // Ordered list of sessions. Loading an item copies its duration and overtime
+    // mode into the timer state; the timer itself knows nothing about the rundown.
+    rundown: {
+        items: [],
+        currentIndex: -1,
+        autoAdvance: false
+    }
+});
+
+rooms.set(DEFAULT_ROOM, createRoom(DEFAULT_ROOM));
+
+const listRooms = () => [...rooms.keys()];
+
+const getRoom = (id) => {
+    if (!rooms.has(id)) {
+        rooms.set(id, createRoom(id));
+        io.emit('rooms-list', listRooms());
+        persistState();
+    }
+    return rooms.get(id);
+};
+
+const getRemainingMs = (state, now = Date.now()) =>
+    state.status === 'RUNNING' ? state.endsAt - now : state.remainingMs;
+
+// Whole seconds as displayed: 00:01 until the very last millisecond, then 00:00, -00:01...
+const getTimeLeft = (state, now = Date.now()) => Math.ceil(getRemainingMs(state, now) / 1000) || 0;
+
+// Index into state.thresholds of the current warning stage, -1 for none
+const computeStage = (state, now = Date.now()) => {
+    if (state.status === 'IDLE') return -1;
+    const remaining = getRemainingMs(state, now);
+    let stage = -1;
+    state.thresholds.forEach((threshold, index) => {
+        if (remaining <= threshold.at * 1000) stage = index;
+    });
+    return stage;
+};
+
+const sanitizeThresholds = (list) => {
+    if (!Array.isArray(list)) return null;
+    const clean = [];
+    for (const entry of list.slice(0, MAX_THRESHOLDS)) {
+        const at = Number(entry?.at);
+        if (!Number.isFinite(at) || at <= 0) return null;
+        if (typeof entry.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(entry.color)) return null;
+        clean.push({ at: clampTime(at), color: entry.color.toLowerCase() });
+    }
+    return clean.sort((a, b) => b.at - a.at);
+};
+
+const sanitizeCues = (cues) => {
+    if (!cues || typeof cues !== 'object') return null;
+    return Object.fromEntries(Object.keys(DEFAULT_CUES).map(key => [key, !!cues[key]]));
 };
 
-const tick = () => {
+// Next full minute of overtime strictly below `remaining`
+const nextOvertimeCue = (remaining) =>
+    -(Math.floor(Math.max(0, -remaining) / OVERTIME_CUE_MS) + 1) * OVERTIME_CUE_MS;
+
+// The cue point crossed going from `from` down to `remaining` ms, if any. When
+// several were (the process was held up), only the latest one is worth a sound.
+const crossedCue = (state, from, remaining) => {
+    if (from === null) return null;
+    const { cues } = state;
+    const points = [];
+    if (cues.thresholds) state.thresholds.forEach(t => points.push({ type: 'threshold', ms: t.at * 1000 }));
+    if (cues.zero) points.push({ type: 'zero', ms: 0 });
+    if (cues.overtime && state.overtimeMode === 'COUNT_UP' && remaining <= -OVERTIME_CUE_MS) {
+        points.push({ type: 'overtime', ms: nextOvertimeCue(remaining) + OVERTIME_CUE_MS });
+    }
+    const crossed = points.filter(p => p.ms < from && p.ms >= remaining).sort((a, b) => a.ms - b.ms);
+    return crossed[0] || null;
+};
+
+// `timeLeft` and `serverTime` are snapshots for consumers that do not render locally
+const timerPayload = (room) => {
+    const now = Date.now();
+    return { ...room.state, timeLeft: getTimeLeft(room.state, now), serverTime: now };
+};
+
+// Every broadcast is also a state change, so this is where we persist
+const emitTimer = (room) => {
+    room.state.stage = computeStage(room.state);
+    io.to(channel(room)).emit('timer-update', timerPayload(room));
+    sendOscFeedback(room);
+    persistState();
+};
+const emitRundown = (room) => {
+    io.to(channel(room)).emit('rundown-update', room.rundown);
+    persistState();
+};
+
+const clearTimer = (room) => {
+    clearTimeout(room.timerInterval);
+    room.timerInterval = null;
+};
+
+// --- MESSAGES ---
+// One message per room at a time. Speaker screens acknowledge it once shown;
+// `seenBy` holds their socket ids so the director sees how many displays got it.
+const MAX_MESSAGE_LENGTH = 200;
+const MAX_CANNED_MESSAGES = 20;
+let cannedMessages = ['Chiudere', 'Spazio alle domande', 'Microfono spento'];
+let nextMessageId = 1;
+
+const messagePayload = (room) => {
+    if (!room.message) return null;
+    const { seenBy, ...message } = room.message;
+    return { ...message, seenCount: seenBy.size };
+};
+
+const emitMessage = (room) => io.to(channel(room)).emit('message-update', messagePayload(room));
+
+const clearMessage = (room) => {
+    clearTimeout(room.messageTimer);
+    room.messageTimer = null;
+    room.message = null;
+};
+
+const sendMessage = (room, { text, flash, duration } = {}) => {
+    const clean = String(text || '').trim().slice(0, MAX_MESSAGE_LENGTH);
+    if (!clean) return false;
+    clearMessage(room);
+    const seconds = Number(duration);
+    const now = Date.now();
+    room.message = {
+        id: nextMessageId++,
+        text: clean,
+        flash: !!flash,
+        sentAt: now,
+        expiresAt: Number.isFinite(seconds) && seconds > 0 ? now + seconds * 1000 : null,
+        seenBy: new Set()
+    };
+    if (room.message.expiresAt) {
+        room.messageTimer = setTimeout(() => {
+            clearMessage(room);
+            emitMessage(room);
+        }, seconds * 1000);
+    }
+    log(`[${room.id}] Message: ${clean}`);
+    return true;
+};
+
+// Whether tick has something to do once the timer is at or past zero:
+// finish it, or move on to the next phase or rundown item
+const actsAtZero = (room) => {
+    const { state, rundown } = room;
+    if (state.phases?.list[state.phases.index].auto && hasNextPhase(state)) return true;
+    if (rundown.autoAdvance && rundown.currentIndex >= 0 && rundown.currentIndex < rundown.items.length - 1) return true;
+    return state.overtimeMode === 'STOP';
+};
+
+// Sleep until the next moment something has to happen server-side:
+// a warning stage starts, the timer reaches zero, or an overtime minute chimes.
+// A timer started at or past zero that has to end there gets its tick right away.
+const scheduleTick = (room) => {
+    clearTimer(room);
+    const { state } = room;
     if (state.status !== 'RUNNING') return;
+    const remaining = getRemainingMs(state);
+    room.cueFrom = remaining;
+    const points = [0, ...state.thresholds.map(t => t.at * 1000)];
+    if (state.cues.overtime && state.overtimeMode === 'COUNT_UP') points.push(nextOvertimeCue(remaining));
+    const waits = points.map(ms => remaining - ms).filter(ms => ms > 0);
+    if (remaining <= 0 && actsAtZero(room)) waits.push(0);
+    if (waits.length > 0) {
+        room.timerInterval = setTimeout(() => tick(room), Math.min(...waits));
+    }
+};
+
+// A target-time timer always ends at its target, however long it was paused
+const startTimer = (room) => {
+    const { state } = room;
+    if (room.run) recordRunEvent(room, 'resume');
+    else beginRun(room);
+    state.status = 'RUNNING';
+    state.endsAt = state.targetAt ?? Date.now() + state.remainingMs;
+    scheduleTick(room);
+    notifyWebhooks(room, 'started');
+};
+
+const pauseTimer = (room) => {
+    const wasRunning = room.state.status === 'RUNNING';
+    if (wasRunning) {
+        room.state.remainingMs = getRemainingMs(room.state);
+        recordRunEvent(room, 'pause');
+    }
+    room.state.status = 'PAUSED';
+    room.state.endsAt = null;
+    clearTimer(room);
+    if (wasRunning) notifyWebhooks(room, 'paused');
+};
+
+const resetTimer = (room, seconds = 0) => {
+    // Webhooks get the timer as it was when stopped, overtime included
+    const stopped = room.state.status !== 'IDLE' ? timerPayload(room) : null;
+    endRun(room);
+    room.state.status = 'IDLE';
+    room.state.remainingMs = seconds * 1000;
+    room.state.endsAt = null;
+    room.state.adjustments = [];
+    room.state.targetAt = null;
+    room.state.phases = null;
+    clearTimer(room);
+    if (stopped) notifyWebhooks(room, 'stopped', { state: stopped });
+};
+
+// "HH:MM" or "HH:MM:SS" in server local time; the next occurrence, so 01:00
+// entered in the evening means tomorrow morning
+const parseTimeOfDay = (text, now = Date.now()) => {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(text).trim());
+    if (!match) return null;
+    const [hours, minutes, seconds] = match.slice(1).map(n => Number(n || 0));
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+    const target = new Date(now);
+    target.setHours(hours, minutes, seconds, 0);
+    if (target.getTime() <= now) target.setDate(target.getDate() + 1);
+    return target.getTime();
+};
 
+const setTarget = (room, targetAt, autoStart) => {
+    resetTimer(room, 0);
+    room.state.targetAt = targetAt;
+    room.state.remainingMs = targetAt - Date.now();
+    if (autoStart) startTimer(room);
+};
+
+// The armed start lives in the state so it is persisted and shown to directors;
+// only the timeout is kept on the room. It may be armed while another timer runs.
+const armScheduledStart = (room) => {
+    clearTimeout(room.scheduleTimer);
+    room.scheduleTimer = null;
+    const scheduled = room.state.scheduledStart;
+    if (!scheduled) return;
+    room.scheduleTimer = setTimeout(() => fireScheduledStart(room), Math.max(0, scheduled.at - Date.now()));
+};
+
+const cancelScheduledStart = (room) => {
+    room.state.scheduledStart = null;
+    armScheduledStart(room);
+};
+
+// Past this, a start the server was down for is dropped rather than begun mid-event
+const SCHEDULE_GRACE_MS = 5 * 60 * 1000;
+
+// Same as a director pressing Set & Start. If the server was down at the time,
+// it fires once it is back, within SCHEDULE_GRACE_MS; later it is reported as missed.
+const fireScheduledStart = (room) => {
+    const { at, seconds } = room.state.scheduledStart;
+    cancelScheduledStart(room);
+    const late = Date.now() - at;
+    if (late > SCHEDULE_GRACE_MS) {
+        room.state.missedStart = { at, seconds };
+        log.warn(`[${room.id}] Scheduled start missed by ${Math.round(late / 60000)} min, not started`);
+        emitTimer(room);
+        return;
+    }
+    if (late > 1000) log.warn(`[${room.id}] Scheduled start fired ${Math.round(late / 1000)}s late`);
+    log(`[${room.id}] Scheduled start: ${seconds}s`);
+    applyTimerAction(room, 'set-and-start', seconds);
+};
+
+// STOP mode reached zero: freeze at 00:00 but keep the run's details
+const finishTimer = (room) => {
+    recordRunEvent(room, 'finish');
+    room.state.status = 'FINISHED';
+    room.state.remainingMs = 0;
+    room.state.endsAt = null;
+    clearTimer(room);
+    notifyWebhooks(room, 'finished');
+};
+
+// Adds or removes time without touching the status. A timer that FINISHED
+// (STOP mode) only stopped because it hit zero, so extra time resumes it.
+const adjustTimer = (room, seconds) => {
+    const { state } = room;
+    if (state.status === 'FINISHED' && seconds < 0) return false;
+    const current = getRemainingMs(state);
+    // Never push past the limit, but a target-time timer may already be beyond it
+    const limit = MAX_SECONDS * 1000;
+    const upper = Math.max(limit, current);
+    const lower = Math.min(-limit, current);
+    const applied = Math.max(lower, Math.min(upper, current + seconds * 1000)) - current;
+    if (applied === 0) return false;
+
+    if (state.status === 'RUNNING') state.endsAt += applied;
+    else state.remainingMs += applied;
+    if (state.targetAt) state.targetAt += applied;
+    // Extra time after the target has passed is a plain duration from now on
+    if (state.status === 'FINISHED') state.targetAt = null;
+    state.adjustments.push({ at: Date.now(), seconds: Math.round(applied / 1000) });
+    log(`[${room.id}] Adjusted by ${Math.round(applied / 1000)}s`);
+
+    if (state.status === 'FINISHED' && state.remainingMs > 0) startTimer(room);
+    // Boundaries moved; this also finishes a STOP-mode timer that was pushed past zero
+    tick(room);
+    return true;
+};
+
+// --- SESSION HISTORY ---
+// One record per run: from the first start until the timer is reset (stop, new
+// time, next rundown item). A run that FINISHED stays open so extra time given
+// afterwards still counts towards the same speaker.
+const MAX_HISTORY = 2000;
+let history = [];
+let nextRunId = 1;
+
+const beginRun = (room) => {
     const now = Date.now();
-    const elapsed = Math.floor((now - state.lastTick) / 1000);
+    const item = room.rundown.items[room.rundown.currentIndex];
+    room.run = {
+        id: nextRunId++,
+        room: room.id,
+        title: item?.title || '',
+        speaker: item?.speaker || '',
+        plannedSeconds: Math.round(plannedMs(room.state) / 1000),
+        targetAt: room.state.targetAt,
+        startedAt: now,
+        endedAt: null,
+        events: [{ type: 'start', at: now }]
+    };
+};
 
-    if (elapsed >= 1) {
-        state.timeLeft -= elapsed;
-        state.lastTick = now;
+// A phased run is planned as the sum of the phases still ahead
+const plannedMs = (state) => {
+    if (!state.phases) return state.remainingMs;
+    const later = state.phases.list.slice(state.phases.index + 1);
+    return state.remainingMs + later.reduce((sum, phase) => sum + phase.duration * 1000, 0);
+};
 
-        if (state.timeLeft <= 0 && state.overtimeMode === 'STOP') {
-            state.status = 'FINISHED';
-            state.timeLeft = 0;
-            clearTimer();
+const recordRunEvent = (room, type) => {
+    if (room.run) room.run.events.push({ type, at: Date.now() });
+};
+
+// Wall-clock time actually spent running, pauses excluded
+const runningSeconds = (events) => {
+    let total = 0;
+    let since = null;
+    events.forEach(({ type, at }) => {
+        if (type === 'start' || type === 'resume') since = at;
+        else if (since !== null) {
+            total += at - since;
+            since = null;
         }
+    });
+    return Math.round(total / 1000);
+};
 
-        io.emit('timer-update', state);
+const endRun = (room) => {
+    const { run, state } = room;
+    if (!run) return;
+    const now = Date.now();
+    const finalSeconds = getTimeLeft(state, now);
+    run.events.push({ type: 'stop', at: now });
+    Object.assign(run, {
+        endedAt: now,
+        overtimeMode: state.overtimeMode,
+        adjustments: state.adjustments.slice(),
+        adjustedSeconds: state.adjustments.reduce((sum, adj) => sum + adj.seconds, 0),
+        actualSeconds: runningSeconds(run.events),
+        overtimeSeconds: Math.max(0, -finalSeconds)
+    });
+    history.push(run);
+    if (history.length > MAX_HISTORY) history = history.slice(-MAX_HISTORY);
+    room.run = null;
+    io.to('directors').emit('report-update', history);
+    persistState();
+};
+
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const REPORT_COLUMNS = [
+    ['room', run => run.room],
+    ['title', run => run.title],
+    ['speaker', run => run.speaker],
+    ['started_at', run => new Date(run.startedAt).toISOString()],
+    ['ended_at', run => new Date(run.endedAt).toISOString()],
+    ['planned_s', run => run.plannedSeconds],
+    ['adjusted_s', run => run.adjustedSeconds],
+    ['actual_s', run => run.actualSeconds],
+    ['overtime_s', run => run.overtimeSeconds],
+    ['overtime_mode', run => run.overtimeMode],
+    ['pauses', run => run.events.filter(e => e.type === 'pause').length],
+    ['target_time', run => (run.targetAt ? new Date(run.targetAt).toISOString() : '')]
+];
+
+const reportToCsv = (runs) => [
+    REPORT_COLUMNS.map(([name]) => name).join(','),
+    ...runs.map(run => REPORT_COLUMNS.map(([, get]) => csvField(get(run))).join(','))
+].join('\r\n');
+
+// --- WEBHOOKS ---
+// Outgoing HTTP POSTs on timer lifecycle events, for lights, chat bots or
+// recorders. Global, not per room: the payload says which room it was.
+const WEBHOOK_EVENTS = ['started', 'paused', 'stopped', 'finished', 'overtime-entered', 'threshold-reached'];
+const MAX_WEBHOOKS = 10;
+const WEBHOOK_ATTEMPTS = 4;
+const WEBHOOK_TIMEOUT_MS = 5000;
+let webhooks = [];
+let nextWebhookId = 1;
+
+const sanitizeWebhook = (hook) => {
+    let url;
+    try {
+        url = new URL(String(hook?.url || '').trim());
+    } catch {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    const events = Array.isArray(hook.events) ? WEBHOOK_EVENTS.filter(e => hook.events.includes(e)) : WEBHOOK_EVENTS.slice();
+    if (events.length === 0) return null;
+    return { url: url.href, events };
+};
+
+// Delivery status (`last`) is for the settings panel only, never persisted
+const webhooksPayload = () => webhooks.map(({ id, url, events, last }) => ({ id, url, events, last }));
+
+const emitWebhooks = () => io.to('directors').emit('webhooks', webhooksPayload());
+
+// Retries with exponential backoff (1s, 2s, 4s); any 2xx counts as delivered
+const deliverWebhook = async (hook, event, body) => {
+    let result;
+    let attempts = 0;
+    while (attempts < WEBHOOK_ATTEMPTS) {
+        if (attempts > 0) await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempts - 1)));
+        // Removed while we were waiting to retry
+        if (!webhooks.includes(hook)) return;
+        attempts++;
+        try {
+            const response = await fetch(hook.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'User-Agent': 'SunStopTimer' },
+                body,
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            result = { ok: response.ok, status: response.status };
+        } catch (err) {
+            result = { ok: false, error: err.message };
+        }
+        if (result.ok) break;
+    }
+    hook.last = { event, at: Date.now(), attempts, ...result };
+    if (!result.ok) log.warn(`Webhook ${hook.url} failed: ${result.error || `HTTP ${result.status}`}`);
+    emitWebhooks();
+};
+
+const notifyWebhooks = (room, event, extra = {}) => {
+    const targets = webhooks.filter(hook => hook.events.includes(event));
+    if (targets.length === 0) return;
+    const body = JSON.stringify({ event, room: room.id, at: Date.now(), state: timerPayload(room), ...extra });
+    targets.forEach(hook => deliverWebhook(hook, event, body));
+};
+
+// --- PERSISTENCE ---
+// Rooms are written to a JSON file on every change so a crash or reboot does not
+// lose the running timer. A running timer is stored with its absolute end time.
+const STATE_FILE = join(DATA_DIR, 'sunstop-state.json');
+let persistPending = false;
+
+const serializeRooms = () => ({
+    savedAt: Date.now(),
+    // Only the read-only token: the director token is new on every run or comes
+    // from the config (see ACCESS CONTROL)
+    auth: { speakerToken: auth.speakerToken },
+    cannedMessages,
+    presets,
+    webhooks: webhooks.map(({ id, url, events }) => ({ id, url, events })),
+    history,
+    rooms: [...rooms.values()].map(room => ({
+        id: room.id,
+        state: room.state,
+        rundown: room.rundown,
+        run: room.run
+    }))
+});
+
+const writeStateFile = () => {
+    persistPending = false;
+    try {
+        // Write-then-rename so a crash mid-write never leaves a truncated file
+        const tmpPath = `${STATE_FILE}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(serializeRooms(), null, 2));
+        fs.renameSync(tmpPath, STATE_FILE);
+    } catch (err) {
+        log.error('Failed to save state:', err.message);
+    }
+};
+
+// Coalesces bursts of changes (e.g. set-time + rundown update) into one write
+const persistState = () => {
+    if (persistPending) return;
+    persistPending = true;
+    setImmediate(writeStateFile);
+};
+
+const restoreState = () => {
+    if (!fs.existsSync(STATE_FILE)) return;
+    let saved;
+    try {
+        saved = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    } catch (err) {
+        log.warn('Ignoring unreadable state file:', err.message);
+        return;
+    }
+    if (!saved || !Array.isArray(saved.rooms)) return;
+
+    // Keep the speaker token across restarts so speaker screens keep working
+    if (typeof saved.auth?.speakerToken === 'string') auth.speakerToken = saved.auth.speakerToken;
+    if (Array.isArray(saved.history)) {
+        history = saved.history.filter(run => run && Number.isFinite(run.id)).slice(-MAX_HISTORY);
+        history.forEach(run => { nextRunId = Math.max(nextRunId, run.id + 1); });
+    }
+    if (Array.isArray(saved.webhooks)) {
+        webhooks = saved.webhooks
+            .map(hook => ({ id: hook?.id, ...sanitizeWebhook(hook) }))
+            .filter(hook => Number.isFinite(hook.id) && hook.url)
+            .slice(0, MAX_WEBHOOKS);
+        webhooks.forEach(hook => { nextWebhookId = Math.max(nextWebhookId, hook.id + 1); });
+    }
+    if (Array.isArray(saved.presets)) {
+        presets = saved.presets
+            .map(preset => ({ id: preset?.id, ...sanitizePreset(preset) }))
+            .filter(preset => Number.isFinite(preset.id) && preset.name)
+            .slice(0, MAX_PRESETS);
+        presets.forEach(preset => { nextPresetId = Math.max(nextPresetId, preset.id + 1); });
+    }
+    if (Array.isArray(saved.cannedMessages)) {
+        cannedMessages = saved.cannedMessages.filter(text => typeof text === 'string').slice(0, MAX_CANNED_MESSAGES);
+    }
+
+    saved.rooms.forEach((entry) => {
+        if (!entry || typeof entry.id !== 'string') return;
+        const room = createRoom(sanitizeRoomId(entry.id));
+        const savedState = entry.state || {};
+        room.state.overtimeMode = savedState.overtimeMode === 'STOP' ? 'STOP' : 'COUNT_UP';
+        if (Number.isFinite(savedState.remainingMs)) room.state.remainingMs = savedState.remainingMs;
+        if (Array.isArray(savedState.adjustments)) room.state.adjustments = savedState.adjustments;
+        if (Number.isFinite(savedState.targetAt)) room.state.targetAt = savedState.targetAt;
+        if (['IDLE', 'PAUSED', 'FINISHED'].includes(savedState.status)) room.state.status = savedState.status;
+        room.state.thresholds = sanitizeThresholds(savedState.thresholds) || room.state.thresholds;
+        room.state.cues = sanitizeCues(savedState.cues) || room.state.cues;
+        const list = sanitizePhases(savedState.phases?.list);
+        if (list) {
+            const index = Math.min(Math.max(0, Number(savedState.phases.index) || 0), list.length - 1);
+            room.state.phases = { list, index, carryOverrun: !!savedState.phases.carryOverrun };
+        }
+        room.state.stage = computeStage(room.state);
+        const scheduled = savedState.scheduledStart;
+        if (Number.isFinite(scheduled?.at) && isValidSeconds(scheduled.seconds) && scheduled.seconds > 0) {
+            room.state.scheduledStart = { at: scheduled.at, seconds: clampTime(scheduled.seconds) };
+        }
+        const missed = savedState.missedStart;
+        if (Number.isFinite(missed?.at) && isValidSeconds(missed.seconds)) room.state.missedStart = { at: missed.at, seconds: missed.seconds };
+        if (entry.run && Array.isArray(entry.run.events)) {
+            room.run = entry.run;
+            nextRunId = Math.max(nextRunId, entry.run.id + 1);
+        }
+
+        if (entry.rundown && Array.isArray(entry.rundown.items)) {
+            room.rundown.items = entry.rundown.items.filter(item => item && Number.isFinite(item.id));
+            room.rundown.currentIndex = Number.isInteger(entry.rundown.currentIndex) ? entry.rundown.currentIndex : -1;
+            room.rundown.autoAdvance = !!entry.rundown.autoAdvance;
+            room.rundown.items.forEach(item => { nextRundownId = Math.max(nextRundownId, item.id + 1); });
+        }
+
+        // A running timer resumes from its absolute end time: the seconds that passed
+        // while we were down are already gone (or already overtime)
+        if (savedState.status === 'RUNNING' && Number.isFinite(savedState.endsAt)) {
+            room.state.status = 'RUNNING';
+            room.state.endsAt = savedState.endsAt;
+            tick(room);
+        }
+
+        rooms.set(room.id, room);
+        armScheduledStart(room);
+        log(`Restored room ${room.id}: ${room.state.status} ${getTimeLeft(room.state)}s`);
+    });
+};
+
+// --- PRESETS ---
+// Named quick times shared by all rooms, bound to F1-F12 in the director view in
+// list order. A preset only overrides the overtime mode and thresholds it carries.
+const MAX_PRESETS = 12;
+let presets = [
+    { id: 1, name: 'Lightning', duration: 300, overtimeMode: null, thresholds: null },
+    { id: 2, name: 'Talk', duration: 1200, overtimeMode: null, thresholds: null },
+    { id: 3, name: 'Q&A', duration: 600, overtimeMode: null, thresholds: null }
+];
+let nextPresetId = 4;
+
+const sanitizePreset = (preset) => {
+    if (!preset || typeof preset !== 'object') return null;
+    const name = String(preset.name || '').trim().slice(0, 40);
+    const duration = Number(preset.duration);
+    if (!name || !Number.isFinite(duration) || duration <= 0) return null;
+    return {
+        name,
+        duration: clampTime(duration),
+        overtimeMode: ['COUNT_UP', 'STOP'].includes(preset.overtimeMode) ? preset.overtimeMode : null,
+        thresholds: preset.thresholds ? sanitizeThresholds(preset.thresholds) : null
+    };
+};
+
+const emitPresets = () => {
+    io.emit('presets', presets);
+    persistState();
+};
+
+const applyPreset = (room, preset, autoStart) => {
+    resetTimer(room, preset.duration);
+    if (preset.overtimeMode) room.state.overtimeMode = preset.overtimeMode;
+    if (preset.thresholds) room.state.thresholds = preset.thresholds.map(t => ({ ...t }));
+    if (autoStart) startTimer(room);
+};
+
+// --- PHASES ---
+// One run made of consecutive phases, each with its own duration and overtime
+// mode. Moving to the next phase keeps the run (and the report entry) going;
+// with carryOverrun the overtime of a phase is taken off the next one.
+const MAX_PHASES = 8;
+
+const sanitizePhases = (list) => {
+    if (!Array.isArray(list) || list.length === 0) return null;
+    const clean = [];
+    for (const entry of list.slice(0, MAX_PHASES)) {
+        const duration = Number(entry?.duration);
+        if (!Number.isFinite(duration) || duration <= 0) return null;
+        clean.push({
+            label: String(entry.label || '').trim().slice(0, 40) || `Phase ${clean.length + 1}`,
+            duration: clampTime(duration),
+            overtimeMode: entry.overtimeMode === 'STOP' ? 'STOP' : 'COUNT_UP',
+            // Roll into the next phase at 00:00 instead of waiting for the director
+            auto: !!entry.auto
+        });
+    }
+    return clean;
+};
+
+const loadPhases = (room, list, carryOverrun, autoStart) => {
+    resetTimer(room, list[0].duration);
+    room.state.phases = { list, index: 0, carryOverrun };
+    room.state.overtimeMode = list[0].overtimeMode;
+    if (autoStart) startTimer(room);
+};
+
+const hasNextPhase = (state) => !!state.phases && state.phases.index < state.phases.list.length - 1;
+
+// A running phase hands over without stopping the clock; one that FINISHED at
+// 00:00 (STOP mode) counts as done, so the next one starts right away.
+const advancePhase = (room) => {
+    const { state } = room;
+    if (!hasNextPhase(state)) return false;
+    const overrun = Math.min(0, getRemainingMs(state));
+    const wasFinished = state.status === 'FINISHED';
+    const phases = state.phases;
+    phases.index += 1;
+    const phase = phases.list[phases.index];
+    const remaining = phase.duration * 1000 + (phases.carryOverrun ? overrun : 0);
+    state.overtimeMode = phase.overtimeMode;
+    room.cueFrom = null;
+    log(`[${room.id}] Phase ${phases.index + 1}/${phases.list.length}: ${phase.label}`);
+
+    if (state.status === 'RUNNING' || wasFinished) {
+        if (wasFinished) recordRunEvent(room, 'resume');
+        state.status = 'RUNNING';
+        state.endsAt = Date.now() + remaining;
+        // Carried overrun can leave nothing of this phase: tick decides what comes next
+        tick(room);
+    } else {
+        state.remainingMs = remaining;
+    }
+    return true;
+};
+
+// --- RUNDOWN ---
+let nextRundownId = 1;
+
+const sanitizeRundownItem = (item) => {
+    if (!item || typeof item !== 'object') return null;
+    const duration = Number(item.duration);
+    if (!Number.isFinite(duration) || duration <= 0) return null;
+    return {
+        id: nextRundownId++,
+        title: String(item.title || '').trim().slice(0, 120),
+        speaker: String(item.speaker || '').trim().slice(0, 120),
+        duration: clampTime(duration),
+        overtimeMode: item.overtimeMode === 'STOP' ? 'STOP' : 'COUNT_UP'
+    };
+};
+
+const loadRundownItem = (room, index, autoStart = false) => {
+    const item = room.rundown.items[index];
+    if (!item) return false;
+    room.rundown.currentIndex = index;
+    resetTimer(room, item.duration);
+    room.state.overtimeMode = item.overtimeMode;
+    if (autoStart) startTimer(room);
+    emitTimer(room);
+    emitRundown(room);
+    return true;
+};
+
+// Runs when a running timer reaches a boundary (see scheduleTick). Timers can
+// fire a little early, so every check is against the actual remaining time.
+const tick = (room) => {
+    const { state, rundown } = room;
+    clearTimer(room);
+    if (state.status !== 'RUNNING') return;
+
+    // Decided here from the shared timer so every screen of the room chimes together
+    const remaining = getRemainingMs(state);
+    const from = room.cueFrom;
+    const cue = crossedCue(state, from, remaining);
+    room.cueFrom = remaining;
+    if (cue) io.to(channel(room)).emit('cue', { type: cue.type, at: Math.round(cue.ms / 1000) });
+
+    if (remaining <= 0) {
+        const phase = state.phases?.list[state.phases.index];
+        if (phase?.auto && hasNextPhase(state)) {
+            advancePhase(room);
+            emitTimer(room);
+            return;
+        }
+
+        // Auto-advance: the slot is over, roll straight into the next one
+        const hasNext = rundown.currentIndex >= 0 && rundown.currentIndex < rundown.items.length - 1;
+        if (rundown.autoAdvance && hasNext) {
+            log(`[${room.id}] Rundown auto-advance to item ${rundown.currentIndex + 2}`);
+            loadRundownItem(room, rundown.currentIndex + 1, true);
+            return;
+        }
+
+        if (state.overtimeMode === 'STOP') {
+            finishTimer(room);
+            emitTimer(room);
+            return;
+        }
+    }
+
+    if (from !== null && from > 0 && remaining <= 0) notifyWebhooks(room, 'overtime-entered');
+
+    // Broadcast stage changes so every display switches colour together
+    const stage = computeStage(state);
+    if (stage !== state.stage) {
+        if (stage > state.stage) notifyWebhooks(room, 'threshold-reached', { threshold: state.thresholds[stage] });
+        emitTimer(room);
     }
+    scheduleTick(room);
+};
 
-    if (state.status === 'RUNNING') {
-        timerInterval = setTimeout(tick, 200);
+// --- TIMER ACTIONS ---
+// Every way of controlling a timer (socket events, REST API) goes through these,
+// so validation and clamping are identical everywhere. Keyed by socket event name.
+// Each returns false when the input is rejected or there is nothing to do.
+const isValidSeconds = (seconds) => typeof seconds === 'number' && Number.isFinite(seconds);
+
+const TIMER_ACTIONS = {
+    'set-time': (room, seconds) => {
+        if (!isValidSeconds(seconds)) return false;
+        resetTimer(room, clampTime(seconds));
+        return true;
+    },
+    'start': (room) => {
+        const { state } = room;
+        if (state.status === 'RUNNING' || (state.remainingMs === 0 && state.status !== 'PAUSED')) return false;
+        startTimer(room);
+        return true;
+    },
+    'pause': (room) => {
+        pauseTimer(room);
+        return true;
+    },
+    'stop': (room) => {
+        resetTimer(room, 0);
+        return true;
+    },
+    'set-mode': (room, mode) => {
+        if (mode !== 'COUNT_UP' && mode !== 'STOP') return false;
+        room.state.overtimeMode = mode;
+        // Switching to STOP while already in overtime finishes the timer right away
+        tick(room);
+        return true;
+    },
+    'set-and-start': (room, seconds) => {
+        if (!isValidSeconds(seconds)) return false;
+        resetTimer(room, clampTime(seconds));
+        startTimer(room);
+        return true;
+    },
+    // Either "HH:MM[:SS]" (starts right away, handy for REST/OSC) or { time, start }
+    'set-target': (room, target) => {
+        const { time, start } = typeof target === 'string' ? { time: target, start: true } : (target || {});
+        const targetAt = parseTimeOfDay(time);
+        if (!targetAt) return false;
+        setTarget(room, targetAt, !!start);
+        log(`[${room.id}] Target time ${time}`);
+        return true;
+    },
+    // { time: "HH:MM[:SS]", seconds }: Set & Start fires by itself at that time of day
+    'schedule-start': (room, schedule) => {
+        const at = parseTimeOfDay(schedule?.time);
+        if (!at || !isValidSeconds(schedule.seconds) || schedule.seconds <= 0) return false;
+        room.state.scheduledStart = { at, seconds: clampTime(schedule.seconds) };
+        room.state.missedStart = null;
+        armScheduledStart(room);
+        log(`[${room.id}] Start of ${room.state.scheduledStart.seconds}s scheduled at ${schedule.time}`);
+        return true;
+    },
+    'cancel-schedule': (room) => {
+        if (!room.state.scheduledStart) return false;
+        cancelScheduledStart(room);
+        log(`[${room.id}] Scheduled start cancelled`);
+        return true;
+    },
+    'dismiss-missed-start': (room) => {
+        if (!room.state.missedStart) return false;
+        room.state.missedStart = null;
+        return true;
+    },
+    // { phases: [{ label, duration, overtimeMode, auto }], carryOverrun, start }
+    'set-phases': (room, config) => {
+        const list = sanitizePhases(config?.phases);
+        if (!list) return false;
+        loadPhases(room, list, !!config.carryOverrun, !!config.start);
+        log(`[${room.id}] Phases: ${list.map(phase => `${phase.label} ${phase.duration}s`).join(', ')}`);
+        return true;
+    },
+    'next-phase': (room) => advancePhase(room),
+    'adjust-time': (room, seconds) => {
+        if (!isValidSeconds(seconds)) return false;
+        return adjustTimer(room, Math.round(seconds));
+    },
+    'set-thresholds': (room, thresholds) => {
+        const clean = sanitizeThresholds(thresholds);
+        if (!clean) return false;
+        room.state.thresholds = clean;
+        scheduleTick(room);
+        return true;
+    },
+    // A preset id, or { id, start }
+    'apply-preset': (room, arg) => {
+        const { id, start } = typeof arg === 'object' && arg !== null ? arg : { id: arg, start: false };
+        const preset = presets.find(p => p.id === Number(id));
+        if (!preset) return false;
+        applyPreset(room, preset, !!start);
+        return true;
+    },
+    'set-cues': (room, cues) => {
+        const clean = sanitizeCues(cues);
+        if (!clean) return false;
+        room.state.cues = clean;
+        scheduleTick(room);
+        return true;
     }
 };
 
+const applyTimerAction = (room, event, arg) => {
+    if (!TIMER_ACTIONS[event](room, arg)) return false;
+    emitTimer(room);
+    return true;
+};
+
 // --- SERVER INFO & TUNNEL ---
-const PORT = 3000;
-let serverInfo = { port: PORT, hostname: os.hostname(), addresses: [] };
+let serverInfo = { port: config.port, httpsPort: null, hostname: os.hostname(), addresses: [] };
 let activeTunnel = null;
 
+const isWildcardHost = (host) => ['0.0.0.0', '::'].includes(host);
+
 const updateServerInfo = (port) => {
+    // Bound to one interface: that is the only address that works
+    if (!isWildcardHost(config.host)) {
+        serverInfo = { ...serverInfo, port, hostname: os.hostname(), addresses: [config.host] };
+        return;
+    }
     const interfaces = os.networkInterfaces();
     const addresses = [];
     Object.values(interfaces).forEach(ifaceList => {
@@ -144,67 +1199,613 @@ const updateServerInfo = (port) => {
             }
         });
     });
-    serverInfo = { port, hostname: os.hostname(), addresses };
+    serverInfo = { ...serverInfo, port, hostname: os.hostname(), addresses };
 };
 
+// --- HTTPS ---
+// Optional second listener so LAN devices get a secure context (service worker,
+// wake lock, fullscreen). A local CA is generated once and kept next to the
+// saved state; devices install it from /ca, then trust every server certificate
+// it signs. The server certificate is re-issued whenever the LAN addresses change.
+const CERT_DIR = join(DATA_DIR, 'sunstop-certs');
+const CA_VALID_DAYS = 3650;
+// Longest validity Apple devices accept for a TLS server certificate
+const CERT_VALID_DAYS = 825;
+const RENEW_BEFORE_MS = 30 * 24 * 3600 * 1000;
+const DAY_MS = 24 * 3600 * 1000;
+
+let httpsServer = null;
+let caCertPem = null;
+
+const readPemPair = (name) => {
+    const certPath = join(CERT_DIR, `${name}.crt`);
+    const keyPath = join(CERT_DIR, `${name}.key`);
+    if (!fs.existsSync(certPath) || !fs.existsSync(keyPath)) return null;
+    try {
+        return {
+            cert: forge.pki.certificateFromPem(fs.readFileSync(certPath, 'utf8')),
+            key: forge.pki.privateKeyFromPem(fs.readFileSync(keyPath, 'utf8'))
+        };
+    } catch (err) {
+        log.warn(`Ignoring unreadable ${name} certificate:`, err.message);
+        return null;
+    }
+};
+
+const writePemPair = (name, { cert, key }) => {
+    fs.mkdirSync(CERT_DIR, { recursive: true });
+    fs.writeFileSync(join(CERT_DIR, `${name}.crt`), forge.pki.certificateToPem(cert));
+    fs.writeFileSync(join(CERT_DIR, `${name}.key`), forge.pki.privateKeyToPem(key), { mode: 0o600 });
+};
+
+// Key generation in Node's crypto is much faster than forge's pure-JS one
+const generateKeyPair = () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const key = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+    return { key, publicKey: forge.pki.setRsaPublicKey(key.n, key.e) };
+};
+
+const issueCertificate = ({ subject, publicKey, issuer, signingKey, days, extensions }) => {
+    const cert = forge.pki.createCertificate();
+    cert.publicKey = publicKey;
+    // Positive, unique serial: browsers reject a re-issued certificate that reuses one
+    cert.serialNumber = `01${crypto.randomBytes(15).toString('hex')}`;
+    // Backdated a day for devices whose clock runs a little behind
+    cert.validity.notBefore = new Date(Date.now() - DAY_MS);
+    cert.validity.notAfter = new Date(Date.now() + days * DAY_MS);
+    cert.setSubject(subject);
+    cert.setIssuer(issuer);
+    cert.setExtensions(extensions);
+    cert.sign(signingKey, forge.md.sha256.create());
+    return cert;
+};
+
+const loadOrCreateCa = () => {
+    const saved = readPemPair('ca');
+    if (saved && saved.cert.validity.notAfter.getTime() - Date.now() > RENEW_BEFORE_MS) return saved;
+
+    const { key, publicKey } = generateKeyPair();
+    const subject = [
+        { name: 'commonName', value: `Sun Stop Timer Local CA (${os.hostname()})` },
+        { name: 'organizationName', value: 'Sun Stop Timer' }
+    ];
+    const cert = issueCertificate({
+        subject,
+        publicKey,
+        issuer: subject,
+        signingKey: key,
+        days: CA_VALID_DAYS,
+        extensions: [
+            { name: 'basicConstraints', cA: true, critical: true },
+            { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+            { name: 'subjectKeyIdentifier' }
+        ]
+    });
+    writePemPair('ca', { cert, key });
+    log('Generated a new local certificate authority');
+    return { cert, key };
+};
+
+// Every name a LAN device may use to reach us: the addresses from updateServerInfo and hostname.local
+const certificateNames = () => ({
+    dns: ['localhost', `${os.hostname()}.local`],
+    ips: ['127.0.0.1', ...serverInfo.addresses.filter(address => !isWildcardHost(address))]
+});
+
+const coversNames = (cert, { dns, ips }) => {
+    const altNames = cert.getExtension('subjectAltName')?.altNames || [];
+    const covered = new Set(altNames.map(alt => alt.ip || alt.value));
+    return [...dns, ...ips].every(name => covered.has(name));
+};
+
+const loadOrCreateServerCertificate = (ca) => {
+    const names = certificateNames();
+    const saved = readPemPair('server');
+    const isUsable = saved
+        && ca.cert.verify(saved.cert)
+        && saved.cert.validity.notAfter.getTime() - Date.now() > RENEW_BEFORE_MS
+        && coversNames(saved.cert, names);
+    if (isUsable) return saved;
+
+    const { key, publicKey } = generateKeyPair();
+    const cert = issueCertificate({
+        subject: [{ name: 'commonName', value: `${os.hostname()}.local` }],
+        publicKey,
+        issuer: ca.cert.subject.attributes,
+        signingKey: ca.key,
+        days: CERT_VALID_DAYS,
+        extensions: [
+            { name: 'basicConstraints', cA: false },
+            { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+            { name: 'extKeyUsage', serverAuth: true },
+            {
+                name: 'subjectAltName',
+                altNames: [
+                    ...names.dns.map(value => ({ type: 2, value })),
+                    ...names.ips.map(ip => ({ type: 7, ip }))
+                ]
+            }
+        ]
+    });
+    writePemPair('server', { cert, key });
+    log(`Issued a server certificate for ${[...names.dns, ...names.ips].join(', ')}`);
+    return { cert, key };
+};
+
+// Needs serverInfo to be up to date: the certificate is issued for its addresses.
+// Resolves once listening, or once HTTPS has been given up.
+const startHttps = () => new Promise((resolveStarted) => {
+    let ca;
+    let serverCert;
+    try {
+        ca = loadOrCreateCa();
+        serverCert = loadOrCreateServerCertificate(ca);
+    } catch (err) {
+        log.error('HTTPS disabled, could not prepare the certificates:', err.message);
+        resolveStarted();
+        return;
+    }
+    caCertPem = forge.pki.certificateToPem(ca.cert);
+
+    httpsServer = createHttpsServer({
+        key: forge.pki.privateKeyToPem(serverCert.key),
+        // Full chain, so clients that have the CA can build the path on their own
+        cert: forge.pki.certificateToPem(serverCert.cert) + caCertPem
+    }, app);
+    io.attach(httpsServer);
+    httpsServer.on('error', (err) => {
+        log.error(`HTTPS disabled, cannot listen on port ${config.httpsPort}:`, err.message);
+        httpsServer = null;
+        serverInfo = { ...serverInfo, httpsPort: null };
+        io.emit('server-info', serverInfo);
+        resolveStarted();
+    });
+    httpsServer.listen(config.httpsPort, config.host, () => {
+        serverInfo = { ...serverInfo, httpsPort: config.httpsPort };
+        io.emit('server-info', serverInfo);
+        console.log(`\n>>> HTTPS: port ${config.httpsPort} (install the certificate from http://<address>:${serverInfo.port}/ca)`);
+        resolveStarted();
+    });
+});
+
+// Shared by the pages the server renders itself (/ca, /discover)
+const PAGE_STYLE = `
+body { font-family: system-ui, sans-serif; background: #0f172a; color: #f8fafc; max-width: 36rem; margin: 0 auto; padding: 1.5rem; line-height: 1.5; }
+a.button { display: inline-block; background: #38bdf8; color: #0f172a; padding: 0.8rem 1.2rem; border-radius: 8px; text-decoration: none; font-weight: 600; margin: 0.5rem 0; }
+h2 { font-size: 1rem; color: #94a3b8; margin-top: 1.5rem; }
+`;
+
+// Served over plain HTTP too: a device has to get the CA before it trusts HTTPS
+app.get('/ca.crt', (req, res) => {
+    if (!serverInfo.httpsPort) return res.status(404).send('HTTPS is not enabled');
+    res.type('application/x-x509-ca-cert');
+    res.attachment('sunstop-ca.crt');
+    res.send(caCertPem);
+});
+
+app.get('/ca', (req, res) => {
+    if (!serverInfo.httpsPort) return res.status(404).send('HTTPS is not enabled');
+    const httpsUrl = `https://${req.hostname}:${serverInfo.httpsPort}/`;
+    res.type('html').send(`<!doctype html>
+<html lang="it">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Sun Stop Timer - Certificato</title>
+<style>${PAGE_STYLE}</style>
+</head>
+<body>
+<h1>Certificato HTTPS</h1>
+<p>Installa una volta il certificato di questo server per aprire la vista speaker in HTTPS (app installabile, schermo sempre acceso, fullscreen).</p>
+<a class="button" href="/ca.crt">Scarica il certificato</a>
+<h2>iPhone / iPad</h2>
+<p>Apri il file scaricato, poi Impostazioni &gt; Profilo scaricato &gt; Installa. Infine Impostazioni &gt; Generali &gt; Info &gt; Impostazioni certificati attendibili e attiva &quot;Sun Stop Timer Local CA&quot;.</p>
+<h2>Android</h2>
+<p>Impostazioni &gt; Sicurezza &gt; Crittografia e credenziali &gt; Installa un certificato &gt; Certificato CA, e scegli il file scaricato.</p>
+<h2>Windows / macOS</h2>
+<p>Apri il file e aggiungilo alle autorità di certificazione radice attendibili (Windows) o al portachiavi Sistema come &quot;Considera sempre attendibile&quot; (macOS).</p>
+<a class="button" href="${httpsUrl}">Continua in HTTPS</a>
+</body>
+</html>`);
+});
+
+// --- DISCOVERY (mDNS) ---
+// Advertises this server as _sunstop._tcp (found by other instances) and as a
+// plain _http._tcp service (Bonjour browsers, Companion...), always with the
+// port actually bound, so a fallback port is still found. /discover lists every
+// instance seen on the network, this one included.
+const SERVICE_TYPE = 'sunstop';
+// Tells our own advertisement apart from the others in the discovered list
+const instanceId = crypto.randomBytes(4).toString('hex');
+let bonjour = null;
+let discoveryBrowser = null;
+
+// Two instances on one computer would clash on the default name; the second one
+// is the one that fell back to another port
+const serviceName = () => {
+    if (config.name) return config.name;
+    const name = `Sun Stop Timer (${os.hostname()})`;
+    return serverInfo.port === config.port ? name : `${name} :${serverInfo.port}`;
+};
+
+const startDiscovery = () => {
+    if (!config.mdns || bonjour) return;
+    try {
+        bonjour = new Bonjour(undefined, (err) => log.warn('mDNS error:', err?.message || err));
+        // The speaker token is read-only by design: it is what makes the speaker
+        // links on /discover work without a PIN (on the LAN only, see below)
+        const txt = { id: instanceId, path: '/', https: serverInfo.httpsPort || '', speaker: auth.speakerToken };
+        bonjour.publish({ name: serviceName(), type: SERVICE_TYPE, port: serverInfo.port, txt });
+        bonjour.publish({ name: serviceName(), type: 'http', port: serverInfo.port, txt: { path: '/' } });
+        discoveryBrowser = bonjour.find({ type: SERVICE_TYPE });
+        discoveryBrowser.on('up', service => log.debug(`mDNS: found ${service.name} on ${service.host}:${service.port}`));
+        log(`Advertising "${serviceName()}" over mDNS`);
+    } catch (err) {
+        log.warn('mDNS advertisement disabled:', err.message);
+        bonjour = null;
+    }
+};
+
+// Goodbye packets, so other instances drop us right away instead of on expiry
+const stopDiscovery = (callback) => {
+    if (!bonjour) return callback();
+    discoveryBrowser?.stop();
+    bonjour.unpublishAll(() => {
+        bonjour.destroy();
+        bonjour = null;
+        callback();
+    });
+};
+
+// cloudflared marks everything it forwards; a plain LAN request has none of these
+const viaTunnel = (req) => !!(req.headers['cf-connecting-ip'] || req.headers['x-forwarded-for']);
+
+// withTokens is false for requests from the internet: whoever has the tunnel URL
+// must not be handed the speaker token (which also reads the report)
+const discoveredServers = (withTokens) => (discoveryBrowser?.services || []).map((service) => {
+    const addresses = service.addresses || [];
+    // IPv4 first: link-local IPv6 addresses need a zone id that browsers do not take
+    const address = addresses.find(a => !a.includes(':')) || service.referer?.address || service.host;
+    const httpsPort = Number(service.txt?.https) || null;
+    const url = httpsPort ? `https://${address}:${httpsPort}/` : `http://${address}:${service.port}/`;
+    const speakerToken = withTokens && typeof service.txt?.speaker === 'string' ? service.txt.speaker : '';
+    return {
+        id: service.txt?.id || null,
+        name: service.name,
+        host: service.host,
+        address,
+        port: service.port,
+        httpsPort,
+        self: service.txt?.id === instanceId,
+        url,
+        speakerUrl: `${url}?view=speaker${speakerToken ? `&token=${encodeURIComponent(speakerToken)}` : ''}`
+    };
+}).sort((a, b) => a.name.localeCompare(b.name));
+
+app.get('/discover.json', (req, res) => {
+    // Ask again on every poll: servers that came up since answer the new query
+    discoveryBrowser?.update();
+    res.json({ enabled: !!discoveryBrowser, servers: discoveredServers(!viaTunnel(req)) });
+});
+
+app.get('/discover', (req, res) => {
+    res.type('html').send(`<!doctype html>
+<html lang="it">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Sun Stop Timer - Timer in rete</title>
+<style>${PAGE_STYLE}
+.server { border: 1px solid #334155; border-radius: 8px; padding: 0.8rem 1rem; margin: 0.6rem 0; }
+.server small { color: #94a3b8; }
+.server a { color: #38bdf8; margin-right: 1rem; }
+</style>
+</head>
+<body>
+<h1>Timer in rete</h1>
+<p id="status">Ricerca in corso...</p>
+<div id="servers"></div>
+<script>
+const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+const refresh = async () => {
+    try {
+        const { enabled, servers } = await (await fetch('/discover.json')).json();
+        document.getElementById('status').textContent = !enabled
+            ? 'Rilevamento disattivato su questo server (--no-mdns).'
+            : servers.length ? '' : 'Nessun timer trovato per ora...';
+        document.getElementById('servers').innerHTML = servers.map(server => \`
+            <div class="server">
+                <strong>\${escape(server.name)}</strong>\${server.self ? ' <small>(questo)</small>' : ''}<br>
+                <small>\${escape(server.host)} · \${escape(server.address)}:\${server.port}</small><br>
+                <a href="\${escape(server.speakerUrl)}">Vista speaker</a>
+                <a href="\${escape(server.url)}" title="Serve il PIN della regia">Regia</a>
+            </div>\`).join('');
+    } catch {
+        document.getElementById('status').textContent = 'Server non raggiungibile.';
+    }
+};
+refresh();
+setInterval(refresh, 3000);
+</script>
+</body>
+</html>`);
+});
+
 // --- DEBUG LOGGING ---
-const logStream = fs.createWriteStream('./debug.log', { flags: 'a' });
-const log = (...args) => {
+// log() is info; log.error/warn/debug for the other levels. Anything below
+// the configured level is dropped from both the console and the file.
+const logStream = config.logFile ? fs.createWriteStream(config.logFile, { flags: 'a' }) : null;
+const writeLog = (level, args) => {
+    if (LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(config.logLevel)) return;
     const msg = args.map(a => (typeof a === 'object' ? JSON.stringify(a) : a)).join(' ');
     const timestamp = new Date().toISOString();
-    logStream.write(`[${timestamp}] ${msg}\n`);
-    console.log(...args);
+    if (logStream) logStream.write(`[${timestamp}] ${level.toUpperCase()} ${msg}\n`);
+    (level === 'error' ? console.error : console.log)(...args);
+};
+const log = (...args) => writeLog('info', args);
+log.error = (...args) => writeLog('error', args);
+log.warn = (...args) => writeLog('warn', args);
+log.debug = (...args) => writeLog('debug', args);
+
+// --- ACCESS CONTROL ---
+// Directors authenticate with the director token (in the URL the server opens, and
+// printed to the console) or with the PIN printed at startup. Speaker links carry a
+// read-only token. Connections with neither are refused. The speaker token survives
+// restarts (printed QR codes keep working); the director token and PIN do not, so
+// a director link that was shared once stops working at the next start. A director
+// token set in the config is the exception, for API clients that cannot log in again.
+const auth = {
+    directorToken: config.directorToken || crypto.randomBytes(16).toString('hex'),
+    speakerToken: crypto.randomBytes(16).toString('hex'),
+    pin: String(crypto.randomInt(0, 1000000)).padStart(6, '0')
+};
+
+// Events a read-only (speaker) socket may send; directors may send anything
+const SPEAKER_EVENTS = new Set(['time-sync', 'message-seen', 'device-info']);
+
+const MAX_PIN_FAILURES = 5;
+const PIN_LOCKOUT_MS = 60 * 1000;
+// Addresses tracked at once; the oldest are forgotten first
+const MAX_PIN_ENTRIES = 1000;
+const pinFailures = new Map(); // ip -> { count, lockedUntil, lastAt }
+
+// Behind the tunnel every socket comes from cloudflared on localhost, which
+// passes the real address on. Anyone else could write that header themselves.
+const isLoopback = (address) => ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(address);
+const clientAddress = (socket) => {
+    const { address, headers } = socket.handshake;
+    if (!isLoopback(address)) return address;
+    return String(headers['x-forwarded-for'] || '').split(',')[0].trim() || address;
+};
+
+const safeEqual = (a, b) => {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const resolveRole = (token) => {
+    if (!token) return null;
+    if (safeEqual(token, auth.directorToken)) return 'director';
+    if (safeEqual(token, auth.speakerToken)) return 'speaker';
+    return null;
+};
+
+// Drops entries that are neither locked nor recent, then the oldest ones over the cap
+const prunePinFailures = (now) => {
+    for (const [ip, entry] of pinFailures) {
+        if (entry.lockedUntil <= now && now - entry.lastAt > PIN_LOCKOUT_MS) pinFailures.delete(ip);
+    }
+    while (pinFailures.size >= MAX_PIN_ENTRIES) pinFailures.delete(pinFailures.keys().next().value);
+};
+
+const checkPin = (pin, ip) => {
+    const now = Date.now();
+    const entry = pinFailures.get(ip) || { count: 0, lockedUntil: 0, lastAt: 0 };
+    if (entry.lockedUntil > now) return false;
+    if (safeEqual(pin, auth.pin)) {
+        pinFailures.delete(ip);
+        return true;
+    }
+    entry.count++;
+    if (entry.count >= MAX_PIN_FAILURES) {
+        entry.count = 0;
+        entry.lockedUntil = now + PIN_LOCKOUT_MS;
+        log.warn(`Too many wrong PINs from ${ip}, locked for ${PIN_LOCKOUT_MS / 1000}s`);
+    }
+    entry.lastAt = now;
+    // Re-inserted so the map stays ordered from least to most recently failed
+    pinFailures.delete(ip);
+    prunePinFailures(now);
+    pinFailures.set(ip, entry);
+    return false;
+};
+
+io.use((socket, next) => {
+    const { token, pin } = socket.handshake.auth || {};
+    let role = resolveRole(token);
+    if (!role && pin && checkPin(pin, clientAddress(socket))) role = 'director';
+    if (!role) return next(new Error('unauthorized'));
+    socket.data.role = role;
+    next();
+});
+
+// --- DEVICES ---
+// Every connected screen, for the director's devices panel. Names are kept by
+// the device itself (localStorage) and announced again on each connection.
+const DEVICE_PING_MS = 10000;
+const MAX_DEVICE_NAME = 40;
+const VIEWS = ['DIRECTOR', 'REMOTE', 'SPEAKER', 'OVERLAY'];
+const DIRECTOR_VIEWS = ['DIRECTOR', 'REMOTE'];
+const devices = new Map();
+
+const emitDevices = () => io.to('directors').emit('devices', [...devices.values()]);
+
+const registerDevice = (socket, room) => {
+    const device = {
+        id: socket.id,
+        name: '',
+        role: socket.data.role,
+        view: socket.data.role === 'director' ? 'DIRECTOR' : 'SPEAKER',
+        ip: clientAddress(socket),
+        room: room.id,
+        connectedAt: Date.now(),
+        latencyMs: null
+    };
+    devices.set(socket.id, device);
+
+    const ping = () => {
+        const sentAt = Date.now();
+        socket.timeout(DEVICE_PING_MS / 2).emit('device-ping', (err) => {
+            device.latencyMs = err ? null : Date.now() - sentAt;
+            emitDevices();
+        });
+    };
+    const pingTimer = setInterval(ping, DEVICE_PING_MS);
+    ping();
+
+    socket.on('disconnect', () => {
+        clearInterval(pingTimer);
+        devices.delete(socket.id);
+        emitDevices();
+    });
+    return device;
 };
 
 // --- SOCKET HANDLERS ---
 io.on('connection', (socket) => {
-    console.log('Client connected');
-    socket.emit('timer-update', state);
+    const { role } = socket.data;
+    const isDirector = role === 'director';
+
+    // The client sends its room in the handshake, so reconnects land back in the same room.
+    // Only directors create rooms; speakers fall back to the default one.
+    const requestedRoom = sanitizeRoomId(socket.handshake.auth?.room);
+    let room = isDirector ? getRoom(requestedRoom) : (rooms.get(requestedRoom) || rooms.get(DEFAULT_ROOM));
+    console.log(`Client connected (room: ${room.id}, role: ${role})`);
+
+    // Reject control events the role does not allow
+    socket.use(([event], next) => {
+        if (isDirector || SPEAKER_EVENTS.has(event)) return next();
+        log.warn(`Rejected '${event}' from ${role} ${socket.handshake.address}`);
+        next(new Error('forbidden'));
+    });
+    socket.on('error', (err) => {
+        if (err.message !== 'forbidden') log.error('Socket error:', err.message);
+    });
+
+    // Directors get the tokens so a PIN login survives reloads and the QR code can
+    // carry the speaker token
+    socket.emit('session', isDirector
+        ? { role, token: auth.directorToken, speakerToken: auth.speakerToken }
+        : { role });
+
+    const sendRoomState = () => {
+        socket.emit('room-joined', room.id);
+        socket.emit('timer-update', timerPayload(room));
+        socket.emit('rundown-update', room.rundown);
+        socket.emit('message-update', messagePayload(room));
+    };
+
+    const device = registerDevice(socket, room);
+
+    const enterRoom = (nextRoom) => {
+        socket.leave(channel(room));
+        room = nextRoom;
+        socket.join(channel(room));
+        sendRoomState();
+        device.room = room.id;
+        emitDevices();
+    };
+    // Lets a room deletion move this socket (speakers cannot ask to change room)
+    socket.data.enterRoom = enterRoom;
+
+    socket.join(channel(room));
+    sendRoomState();
+    if (isDirector) {
+        socket.join('directors');
+        socket.emit('report-update', history);
+        socket.emit('webhooks', webhooksPayload());
+    }
+    emitDevices();
+    socket.emit('rooms-list', listRooms());
+    socket.emit('canned-messages', cannedMessages);
+    socket.emit('presets', presets);
     socket.emit('server-info', serverInfo);
 
-    socket.on('set-time', (seconds) => {
-        if (typeof seconds !== 'number' || !Number.isFinite(seconds)) return;
-        const clamped = Math.max(-5999, Math.min(5999, Math.round(seconds)));
-        state.timeLeft = clamped;
-        state.status = 'IDLE';
-        clearTimer();
-        io.emit('timer-update', state);
-    });
-
-    socket.on('start', () => {
-        if (state.status !== 'RUNNING' && (state.timeLeft !== 0 || state.status === 'PAUSED')) {
-            state.status = 'RUNNING';
-            state.lastTick = Date.now();
-            if (!timerInterval) timerInterval = setTimeout(tick, 200);
-            io.emit('timer-update', state);
-        }
+    // NTP-style clock sync: the client measures the round trip and derives its offset
+    socket.on('time-sync', (clientTime, ack) => {
+        if (typeof ack === 'function') ack(Date.now());
+    });
+
+    // Devices
+    socket.on('device-info', (info) => {
+        if (!info || typeof info !== 'object') return;
+        device.name = String(info.name || '').trim().slice(0, MAX_DEVICE_NAME);
+        // A speaker link cannot claim to be a director screen
+        if (VIEWS.includes(info.view) && (isDirector || !DIRECTOR_VIEWS.includes(info.view))) device.view = info.view;
+        emitDevices();
     });
 
-    socket.on('pause', () => {
-        state.status = 'PAUSED';
-        clearTimer();
-        io.emit('timer-update', state);
+    socket.on('device-identify', (id) => {
+        if (devices.has(id)) io.to(id).emit('identify');
     });
 
-    socket.on('stop', () => {
-        state.status = 'IDLE';
-        state.timeLeft = 0;
-        clearTimer();
-        io.emit('timer-update', state);
+    socket.on('device-rename', (change) => {
+        const target = devices.get(change?.id);
+        if (!target) return;
+        target.name = String(change.name || '').trim().slice(0, MAX_DEVICE_NAME);
+        io.to(target.id).emit('device-name', target.name);
+        emitDevices();
     });
 
-    socket.on('set-mode', (mode) => {
-        if (mode !== 'COUNT_UP' && mode !== 'STOP') return;
-        state.overtimeMode = mode;
-        io.emit('timer-update', state);
+    // Never for an overlay: it would put the opaque speaker view on air
+    socket.on('device-force-view', (id) => {
+        const target = devices.get(id);
+        if (!target || target.view === 'OVERLAY') return;
+        io.to(id).emit('force-view', 'SPEAKER');
+    });
+
+    socket.on('device-disconnect', (id) => {
+        const target = io.sockets.sockets.get(id);
+        if (!target) return;
+        log(`Device disconnected by director: ${devices.get(id)?.name || id} (${clientAddress(target)})`);
+        target.disconnect(true);
+    });
+
+    socket.on('join-room', (id) => {
+        if (typeof id !== 'string') return;
+        enterRoom(getRoom(sanitizeRoomId(id)));
+    });
+
+    socket.on('delete-room', (id) => {
+        const target = rooms.get(sanitizeRoomId(id));
+        if (!target || target.id === DEFAULT_ROOM) return;
+        log(`Room deleted: ${target.id}`);
+        clearTimer(target);
+        cancelScheduledStart(target);
+        clearMessage(target);
+        endRun(target);
+        // Everyone watching it, speakers included, goes back to the default room
+        const fallback = rooms.get(DEFAULT_ROOM);
+        [...(io.sockets.adapter.rooms.get(channel(target)) || [])].forEach((id) => {
+            io.sockets.sockets.get(id)?.data.enterRoom(fallback);
+        });
+        rooms.delete(target.id);
+        io.emit('rooms-list', listRooms());
+        persistState();
+    });
+
+    Object.keys(TIMER_ACTIONS).forEach((event) => {
+        socket.on(event, (arg) => applyTimerAction(room, event, arg));
     });
 
     socket.on('shutdown', () => {
         log('Shutdown requested from client');
-        clearTimer();
+        rooms.forEach(clearTimer);
+        writeStateFile();
         io.emit('server-shutdown');
         setTimeout(() => {
-            server.close(() => process.exit(0));
+            stopDiscovery(() => server.close(() => process.exit(0)));
             setTimeout(() => process.exit(0), 2000);
         }, 500);
     });
@@ -228,7 +1829,7 @@ io.on('connection', (socket) => {
                 const timeout = setTimeout(() => reject(new Error('Tunnel timeout (30s)')), 30000);
                 const handler = (data) => {
                     const output = data.toString();
-                    log('cloudflared:', output.trim());
+                    log.debug('cloudflared:', output.trim());
                     const match = output.match(/https:\/\/[a-z0-9-]+\.trycloudflare\.com/);
                     if (match) {
                         clearTimeout(timeout);
@@ -254,7 +1855,7 @@ io.on('connection', (socket) => {
                 io.emit('tunnel-status', { url: null });
             });
         } catch (err) {
-            log('Tunnel error:', err.message);
+            log.error('Tunnel error:', err.message);
             socket.emit('tunnel-status', { url: null, error: err.message });
         }
     });
@@ -267,18 +1868,385 @@ io.on('connection', (socket) => {
         }
     });
 
-    socket.on('set-and-start', (seconds) => {
-        if (typeof seconds !== 'number' || !Number.isFinite(seconds)) return;
-        const clamped = Math.max(-5999, Math.min(5999, Math.round(seconds)));
-        state.timeLeft = clamped;
-        state.status = 'RUNNING';
-        state.lastTick = Date.now();
-        clearTimer();
-        timerInterval = setTimeout(tick, 200);
-        io.emit('timer-update', state);
+    // Rundown
+    socket.on('rundown-add', (item) => {
+        const clean = sanitizeRundownItem(item);
+        if (!clean) return;
+        room.rundown.items.push(clean);
+        emitRundown(room);
+    });
+
+    socket.on('rundown-remove', (id) => {
+        const { rundown } = room;
+        const index = rundown.items.findIndex(item => item.id === id);
+        if (index === -1) return;
+        rundown.items.splice(index, 1);
+        if (index < rundown.currentIndex) rundown.currentIndex--;
+        else if (index === rundown.currentIndex) rundown.currentIndex = -1;
+        emitRundown(room);
+    });
+
+    socket.on('rundown-clear', () => {
+        room.rundown.items = [];
+        room.rundown.currentIndex = -1;
+        emitRundown(room);
+    });
+
+    socket.on('rundown-next', () => {
+        loadRundownItem(room, room.rundown.currentIndex + 1, room.state.status === 'RUNNING');
+    });
+
+    socket.on('rundown-previous', () => {
+        if (room.rundown.currentIndex <= 0) return;
+        loadRundownItem(room, room.rundown.currentIndex - 1, room.state.status === 'RUNNING');
+    });
+
+    socket.on('rundown-jump', (index) => {
+        if (!Number.isInteger(index)) return;
+        loadRundownItem(room, index);
+    });
+
+    socket.on('rundown-set-auto-advance', (enabled) => {
+        room.rundown.autoAdvance = !!enabled;
+        emitRundown(room);
+    });
+
+    // Messages
+    socket.on('send-message', (message) => {
+        if (sendMessage(room, message)) emitMessage(room);
+    });
+
+    socket.on('clear-message', () => {
+        clearMessage(room);
+        emitMessage(room);
+    });
+
+    // Session report
+    socket.on('clear-report', () => {
+        history = [];
+        io.to('directors').emit('report-update', history);
+        persistState();
+    });
+
+    // Webhooks
+    socket.on('webhook-add', (hook) => {
+        const clean = sanitizeWebhook(hook);
+        if (!clean || webhooks.length >= MAX_WEBHOOKS) return;
+        webhooks.push({ id: nextWebhookId++, ...clean });
+        emitWebhooks();
+        persistState();
+    });
+
+    socket.on('webhook-remove', (id) => {
+        webhooks = webhooks.filter(hook => hook.id !== id);
+        emitWebhooks();
+        persistState();
+    });
+
+    socket.on('webhook-test', (id) => {
+        const hook = webhooks.find(h => h.id === id);
+        if (!hook) return;
+        deliverWebhook(hook, 'test', JSON.stringify({ event: 'test', room: room.id, at: Date.now(), state: timerPayload(room) }));
+    });
+
+    // Presets: an id updates that preset, none adds a new one
+    socket.on('preset-save', (preset) => {
+        const clean = sanitizePreset(preset);
+        if (!clean) return;
+        const existing = presets.find(p => p.id === preset.id);
+        if (existing) Object.assign(existing, clean);
+        else if (presets.length < MAX_PRESETS) presets.push({ id: nextPresetId++, ...clean });
+        else return;
+        emitPresets();
+    });
+
+    socket.on('preset-delete', (id) => {
+        presets = presets.filter(p => p.id !== id);
+        emitPresets();
+    });
+
+    socket.on('preset-move', (move) => {
+        const from = presets.findIndex(p => p.id === move?.id);
+        const to = from + (move?.offset > 0 ? 1 : -1);
+        if (from < 0 || to < 0 || to >= presets.length) return;
+        const [preset] = presets.splice(from, 1);
+        presets.splice(to, 0, preset);
+        emitPresets();
+    });
+
+    socket.on('message-seen', (id) => {
+        if (!room.message || room.message.id !== id || room.message.seenBy.has(socket.id)) return;
+        room.message.seenBy.add(socket.id);
+        emitMessage(room);
+    });
+
+    socket.on('save-canned-message', (text) => {
+        const clean = String(text || '').trim().slice(0, MAX_MESSAGE_LENGTH);
+        if (!clean || cannedMessages.includes(clean) || cannedMessages.length >= MAX_CANNED_MESSAGES) return;
+        cannedMessages.push(clean);
+        io.emit('canned-messages', cannedMessages);
+        persistState();
+    });
+
+    socket.on('delete-canned-message', (text) => {
+        cannedMessages = cannedMessages.filter(item => item !== text);
+        io.emit('canned-messages', cannedMessages);
+        persistState();
     });
 });
 
+// --- REST API ---
+// For controllers that can only speak HTTP (Stream Deck/Companion, curl).
+// The room is picked with ?room=<id> (default: main); state is returned as JSON.
+const apiRouter = express.Router();
+apiRouter.use(express.json());
+
+const API_COMMANDS = {
+    'start': { event: 'start' },
+    'pause': { event: 'pause' },
+    'stop': { event: 'stop' },
+    'set': { event: 'set-time', param: 'seconds' },
+    'set-and-start': { event: 'set-and-start', param: 'seconds' },
+    'mode': { event: 'set-mode', param: 'mode' },
+    'adjust': { event: 'adjust-time', param: 'seconds' },
+    'target': { event: 'set-target', param: 'time' },
+    'next-phase': { event: 'next-phase' }
+};
+
+// Arguments may come from a JSON body or the query string (easier from shell scripts)
+const readApiParam = (req, name) => {
+    const value = req.body?.[name] ?? req.query[name];
+    if (name === 'seconds' && typeof value === 'string' && value.trim() !== '') return Number(value);
+    return value;
+};
+
+// Same director token as the UI: `Authorization: Bearer <token>` or ?token=
+const requireDirector = (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : req.query.token;
+    const role = resolveRole(token);
+    if (role === 'director' || (role === 'speaker' && req.method === 'GET')) return next();
+    res.status(401).json({ error: 'Unauthorized' });
+};
+apiRouter.use(requireDirector);
+
+const findApiRoom = (req, res) => {
+    const room = rooms.get(sanitizeRoomId(req.query.room ?? req.body?.room));
+    if (!room) res.status(404).json({ error: 'Unknown room' });
+    return room;
+};
+
+apiRouter.get('/timer', (req, res) => {
+    const room = findApiRoom(req, res);
+    if (room) res.json(timerPayload(room));
+});
+
+apiRouter.post('/timer/:command', (req, res) => {
+    const command = API_COMMANDS[req.params.command];
+    if (!command) return res.status(404).json({ error: `Unknown command: ${req.params.command}` });
+    const room = findApiRoom(req, res);
+    if (!room) return;
+
+    const arg = command.param ? readApiParam(req, command.param) : undefined;
+    if (!applyTimerAction(room, command.event, arg)) {
+        const error = command.param ? `Invalid ${command.param}` : `Cannot ${req.params.command} in state ${room.state.status}`;
+        return res.status(command.param ? 400 : 409).json({ error, state: timerPayload(room) });
+    }
+    log(`API ${req.params.command} [${room.id}]`, arg ?? '');
+    res.json(timerPayload(room));
+});
+
+// Session report for the whole day, all rooms (or ?room=<id>)
+const reportRuns = (req) => {
+    const roomId = req.query.room ? sanitizeRoomId(req.query.room) : null;
+    return roomId ? history.filter(run => run.room === roomId) : history;
+};
+const reportFilename = (ext) => `sunstop-report-${new Date().toISOString().slice(0, 10)}.${ext}`;
+
+apiRouter.get('/report.json', (req, res) => {
+    res.attachment(reportFilename('json'));
+    res.json(reportRuns(req));
+});
+
+apiRouter.get('/report.csv', (req, res) => {
+    res.attachment(reportFilename('csv'));
+    res.type('text/csv').send(reportToCsv(reportRuns(req)));
+});
+
+// Body parser failures would otherwise get Express's HTML page, stack trace included
+// eslint-disable-next-line no-unused-vars
+apiRouter.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Invalid JSON' });
+    log.error(`API ${req.method} ${req.path} failed:`, err.message);
+    res.status(err.status || 500).json({ error: err.expose ? err.message : 'Internal error' });
+});
+
+app.use('/api', apiRouter);
+
+// --- OSC (UDP) ---
+// Show-control software (QLab, Companion) talks OSC. Incoming addresses:
+//   /sunstop[/<room>]/start | pause | stop | set <seconds> | set-and-start <seconds> | adjust <+/-seconds>
+//   /sunstop[/<room>]/mode <COUNT_UP|STOP> | target <"HH:MM">
+//   /sunstop/register <port>   - receive feedback on that port of the sender's address
+//   /sunstop/unregister <port>
+// OSC carries no credentials, which is why it is off unless oscPort is configured.
+// Feedback on every timer-update, and every second while a timer runs:
+//   /sunstop/<room>/remaining i, /status s, /mode s
+const OSC_COMMANDS = {
+    'start': 'start',
+    'pause': 'pause',
+    'stop': 'stop',
+    'set': 'set-time',
+    'set-and-start': 'set-and-start',
+    'mode': 'set-mode',
+    'adjust': 'adjust-time',
+    'target': 'set-target',
+    'next-phase': 'next-phase'
+};
+const OSC_FEEDBACK_MS = 1000;
+const oscTargets = new Map(); // "host:port" -> { host, port }
+let oscSocket = null;
+let oscFeedbackTimer = null;
+
+const readOscString = (buf, offset) => {
+    const end = buf.indexOf(0, offset);
+    if (end === -1) throw new Error('Unterminated OSC string');
+    // Strings are NUL-terminated and padded to a multiple of 4 bytes
+    return [buf.toString('utf8', offset, end), (end + 4) & ~3];
+};
+
+// Returns a flat list of { address, args }; bundles are unpacked recursively
+const decodeOsc = (buf) => {
+    let [address, offset] = readOscString(buf, 0);
+    if (address === '#bundle') {
+        const messages = [];
+        offset += 8; // time tag, we execute immediately
+        while (offset + 4 <= buf.length) {
+            const size = buf.readInt32BE(offset);
+            offset += 4;
+            messages.push(...decodeOsc(buf.subarray(offset, offset + size)));
+            offset += size;
+        }
+        return messages;
+    }
+
+    const args = [];
+    if (offset < buf.length) {
+        let types;
+        [types, offset] = readOscString(buf, offset);
+        for (const type of types.slice(1)) {
+            if (type === 'i') { args.push(buf.readInt32BE(offset)); offset += 4; }
+            else if (type === 'f') { args.push(buf.readFloatBE(offset)); offset += 4; }
+            else if (type === 'd') { args.push(buf.readDoubleBE(offset)); offset += 8; }
+            else if (type === 's') { let str; [str, offset] = readOscString(buf, offset); args.push(str); }
+            else if (type === 'T') args.push(true);
+            else if (type === 'F') args.push(false);
+            else break; // unsupported type: keep what we have
+        }
+    }
+    return [{ address, args }];
+};
+
+const encodeOscString = (str) => {
+    const raw = Buffer.from(`${str}\0`, 'utf8');
+    return Buffer.concat([raw, Buffer.alloc((4 - (raw.length % 4)) % 4)]);
+};
+
+const encodeOscMessage = (address, args) => {
+    let types = ',';
+    const parts = args.map((arg) => {
+        if (typeof arg === 'string') {
+            types += 's';
+            return encodeOscString(arg);
+        }
+        const buf = Buffer.alloc(4);
+        if (Number.isInteger(arg)) { types += 'i'; buf.writeInt32BE(arg); }
+        else { types += 'f'; buf.writeFloatBE(arg); }
+        return buf;
+    });
+    return Buffer.concat([encodeOscString(address), encodeOscString(types), ...parts]);
+};
+
+const sendOscFeedback = (room) => {
+    if (!oscSocket || oscTargets.size === 0) return;
+    const prefix = `/sunstop/${room.id}`;
+    const messages = [
+        encodeOscMessage(`${prefix}/remaining`, [getTimeLeft(room.state)]),
+        encodeOscMessage(`${prefix}/status`, [room.state.status]),
+        encodeOscMessage(`${prefix}/mode`, [room.state.overtimeMode])
+    ];
+    oscTargets.forEach(({ host, port }) => {
+        messages.forEach(msg => oscSocket.send(msg, port, host, (err) => {
+            if (err) log.warn(`OSC feedback to ${host}:${port} failed:`, err.message);
+        }));
+    });
+};
+
+const handleOscMessage = ({ address, args }, rinfo) => {
+    const parts = address.split('/').filter(Boolean);
+    if (parts[0] !== 'sunstop' || parts.length < 2) return;
+
+    if (parts[1] === 'register' || parts[1] === 'unregister') {
+        // Feedback only goes back to the sender: nobody can aim it at a third host
+        const host = rinfo.address;
+        if (args.length > 1 && String(args[0]) !== host) {
+            log.warn(`OSC ${parts[1]} for ${args[0]} refused: only the sender (${host}) can be a target`);
+            return;
+        }
+        const port = Number(args[args.length - 1]);
+        if (!Number.isInteger(port) || port <= 0 || port > 65535) return;
+        const key = `${host}:${port}`;
+        if (parts[1] === 'register') {
+            oscTargets.set(key, { host, port });
+            log(`OSC feedback target registered: ${key}`);
+            rooms.forEach(sendOscFeedback);
+        } else {
+            oscTargets.delete(key);
+            log(`OSC feedback target removed: ${key}`);
+        }
+        return;
+    }
+
+    const [roomId, command] = parts.length > 2 ? [parts[1], parts[2]] : [DEFAULT_ROOM, parts[1]];
+    const event = OSC_COMMANDS[command];
+    const room = rooms.get(sanitizeRoomId(roomId));
+    if (!event || !room) return;
+
+    // QLab sends numbers as floats or strings depending on the cue; normalise for set-*
+    let arg = args[0];
+    if (['set-time', 'set-and-start', 'adjust-time'].includes(event)) arg = Number(arg);
+    applyTimerAction(room, event, arg);
+};
+
+// Bound to the same interface as the HTTP server
+const startOsc = () => {
+    if (config.oscPort === null) return;
+    oscSocket = dgram.createSocket(config.host.includes(':') ? 'udp6' : 'udp4');
+    oscSocket.on('message', (buf, rinfo) => {
+        try {
+            decodeOsc(buf).forEach(msg => handleOscMessage(msg, rinfo));
+        } catch (err) {
+            log.warn(`Malformed OSC packet from ${rinfo.address}:`, err.message);
+        }
+    });
+    oscSocket.on('error', (err) => {
+        log.error('OSC error:', err.message);
+        clearInterval(oscFeedbackTimer);
+        oscSocket.close();
+        oscSocket = null;
+    });
+    // Clients only see state changes otherwise; a remaining-time display must tick
+    oscFeedbackTimer = setInterval(() => {
+        if (oscTargets.size === 0) return;
+        rooms.forEach((room) => {
+            if (room.state.status === 'RUNNING') sendOscFeedback(room);
+        });
+    }, OSC_FEEDBACK_MS);
+    oscSocket.bind(config.oscPort, config.host, () => {
+        console.log(`\n>>> OSC: udp port ${config.oscPort} (/sunstop/start, /sunstop/set <seconds>, ...)`);
+    });
+};
+
 // --- BROWSER OPENER ---
 const openBrowser = (url) => {
     if (process.platform === 'win32') {
@@ -300,7 +2268,7 @@ const openBrowser = (url) => {
 
 // --- ERROR HANDLING ---
 process.on('uncaughtException', (err) => {
-    log('CRITICAL ERROR:', err.message, err.stack);
+    log.error('CRITICAL ERROR:', err.message, err.stack);
     console.error('CRITICAL ERROR:', err);
     console.log('Window will close in 60 seconds...');
     setTimeout(() => process.exit(1), 60000);
@@ -308,7 +2276,7 @@ process.on('uncaughtException', (err) => {
 
 // KEEP-ALIVE
 const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-rl.on('line', (input) => { log(`Command received: ${input}`); });
+rl.on('line', (input) => { log.debug(`Command received: ${input}`); });
 
 console.log('Sun Stop Timer Starting...');
 log('Starting application...');
@@ -316,45 +2284,67 @@ log('Starting application...');
 // --- START SERVER ---
 const MAX_PORT_RETRIES = 10;
 
+let stateRestored = false;
+
 const startServer = (port, retriesLeft = MAX_PORT_RETRIES) => {
-    const serverInstance = server.listen(port, async () => {
+    // Restore before listening so the first client already sees the recovered timers
+    if (!stateRestored) {
+        stateRestored = true;
+        restoreState();
+    }
+
+    const onListening = async () => {
         console.log('---------------------------------------------------');
         console.log(`Sun Stop Timer Running on Port ${port}!`);
         console.log('---------------------------------------------------');
 
         updateServerInfo(port);
+        startOsc();
+        if (config.https && !httpsServer) await startHttps();
+        startDiscovery();
 
-        const interfaces = os.networkInterfaces();
         const hostname = os.hostname();
-        const localUrl = `http://localhost:${port}`;
+        const localHost = isWildcardHost(config.host) ? 'localhost' : config.host;
+        const localUrl = `http://${localHost}:${port}/?token=${auth.directorToken}`;
         const staticUrl = `http://${hostname}.local:${port}`;
 
+        console.log(`\n>>> DIRECTOR PIN: ${auth.pin}`);
+        console.log(`>>> DIRECTOR TOKEN: ${auth.directorToken}`);
         console.log(`\n>>> STATIC LINK: ${staticUrl}`);
+        if (config.mdns) console.log(`>>> DISCOVER TIMERS: ${staticUrl}/discover`);
+        if (port !== config.port) console.log(`    (port ${config.port} was busy: this run uses ${port})`);
         console.log(`\n>>> LAN LINK:`);
-        Object.keys(interfaces).forEach((ifname) => {
-            interfaces[ifname].forEach((iface) => {
-                if ('IPv4' !== iface.family || iface.internal !== false) return;
-                console.log(`    http://${iface.address}:${port}`);
-            });
+        serverInfo.addresses.forEach((address) => {
+            console.log(`    http://${address}:${port}`);
         });
         console.log('\n---------------------------------------------------');
+        if (!config.browser) {
+            console.log(`Director view: ${localUrl}`);
+            return;
+        }
         console.log('Opening browser...');
 
         try { openBrowser(localUrl); } catch (err) { console.error('Failed to open browser:', err); }
-    });
+    };
+    const serverInstance = server.listen(port, config.host, onListening);
 
-    serverInstance.on('error', (err) => {
+    const onError = (err) => {
         if (err.code === 'EADDRINUSE') {
             if (retriesLeft <= 0) {
                 console.error(`Failed to find an available port after ${MAX_PORT_RETRIES} retries.`);
                 process.exit(1);
             }
             console.log(`Port ${port} is busy, trying ${port + 1}...`);
+            // The same server object is reused: drop this attempt's listeners or the
+            // next one would also run them with this (busy) port
+            serverInstance.off('listening', onListening);
+            serverInstance.off('error', onError);
             serverInstance.close(() => startServer(port + 1, retriesLeft - 1));
         } else {
             console.error('Server error:', err);
         }
-    });
+    };
+    serverInstance.on('error', onError);
 };
 
-startServer(PORT);
+startServer(config.port);
@@ -1,54 +1,185 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import { QRCodeSVG } from 'qrcode.react'
 import TimerDisplay from './components/TimerDisplay'
 import Controls from './components/Controls'
+import RundownPanel from './components/RundownPanel'
+import PinLogin from './components/PinLogin'
+import ThresholdSettings from './components/ThresholdSettings'
+import MessagePanel from './components/MessagePanel'
+import ReportPanel from './components/ReportPanel'
+import AudioSettings from './components/AudioSettings'
+import WebhookSettings from './components/WebhookSettings'
+import OverlayView from './components/OverlayView'
+import DevicesPanel from './components/DevicesPanel'
+import RemoteView from './components/RemoteView'
+import PresetBar from './components/PresetBar'
+import ScheduleStart from './components/ScheduleStart'
+import PhaseSettings from './components/PhaseSettings'
+import PresetSettings from './components/PresetSettings'
 import { io } from 'socket.io-client';
+import { syncClock } from './clock';
+import { playCue } from './audio';
+import { loadSnapshot, saveSnapshot } from './snapshot';
 
 // Connect to the server.
 // In PROD (PWA/Exe): Server serves the app, so we connect to the same host/port (relative).
 // In DEV: Vite is on 5173, Server on 3000. We need explicit URL.
-const socket = io(import.meta.env.DEV ? 'http://localhost:3000' : undefined);
+const SERVER_URL = import.meta.env.DEV ? 'http://localhost:3000' : '';
+// The room travels in the handshake auth (re-read on every reconnect), so a
+// device that switched room comes back to the room it was in, not the URL one.
+const urlParams = new URLSearchParams(window.location.search);
+let activeRoom = urlParams.get('room') || 'main';
+// A token in the URL wins (speaker QR code, the link the server opens);
+// otherwise reuse the director token a previous PIN login stored.
+let authToken = urlParams.get('token') || localStorage.getItem('sunstop-token');
+let pendingPin = null;
+// Name the director gave this screen in the devices panel
+let deviceName = localStorage.getItem('sunstop-device-name') || '';
+const socket = io(SERVER_URL || undefined, {
+    auth: (cb) => cb({ room: activeRoom, token: authToken, pin: pendingPin })
+});
+
+// Target-time input uses the same digit layout as MM:SS, read as HH:MM
+const isValidTarget = (buffer) => {
+    const hours = parseInt(buffer.slice(0, buffer.length - 2) || '0', 10);
+    const minutes = parseInt(buffer.slice(-2) || '0', 10);
+    return buffer.length > 0 && hours < 24 && minutes < 60;
+};
+
+// Until the server answers, show what it last said (see snapshot.js)
+const initialSnapshot = loadSnapshot(activeRoom);
 
 function App() {
-    const [timeLeft, setTimeLeft] = useState(0);
-    const [status, setStatus] = useState('IDLE');
+    const [timer, setTimer] = useState(() =>
+        initialSnapshot?.timer || { status: 'IDLE', overtimeMode: 'COUNT_UP', remainingMs: 0, endsAt: null, thresholds: [], stage: -1 }
+    );
+    const [status, setStatus] = useState(timer.status);
 
     // inputBuffer now acts as "Draft Mode". If not empty, we are editing.
     const [inputBuffer, setInputBuffer] = useState('');
+    // DURATION: buffer is MM:SS. TARGET: buffer is a time of day HH:MM to count down to.
+    const [inputMode, setInputMode] = useState('DURATION');
+    const isEditing = inputBuffer.length > 0 || inputMode === 'TARGET';
 
     // Fix 6: Connection state
     const [connected, setConnected] = useState(socket.connected);
+    const [role, setRole] = useState(null);
+    const [authState, setAuthState] = useState(null); // null | 'required' | 'failed'
+    const [speakerToken, setSpeakerToken] = useState(null);
+    const isDirector = role === 'director';
 
     // Settings & View Modes
-    const [overtimeMode, setOvertimeMode] = useState('COUNT_UP');
+    const [overtimeMode, setOvertimeMode] = useState(timer.overtimeMode);
     const [viewMode, setViewMode] = useState(() => {
         const params = new URLSearchParams(window.location.search);
-        return params.get('view') === 'speaker' ? 'SPEAKER' : 'DIRECTOR';
+        const view = params.get('view');
+        if (view === 'overlay') return 'OVERLAY';
+        if (view === 'speaker') return 'SPEAKER';
+        // Phones and tablets get the keypad layout unless a view was asked for
+        if (view === 'remote' || (!view && window.matchMedia('(pointer: coarse)').matches)) return 'REMOTE';
+        return 'DIRECTOR';
     });
     const [showSettings, setShowSettings] = useState(false);
     const [isFullscreen, setIsFullscreen] = useState(false);
     const [showFullscreenHint, setShowFullscreenHint] = useState(true);
     const [lanBaseUrl, setLanBaseUrl] = useState(window.location.origin);
+    const [httpBaseUrl, setHttpBaseUrl] = useState(window.location.origin);
+    const [httpsEnabled, setHttpsEnabled] = useState(false);
     const [tunnelUrl, setTunnelUrl] = useState(null);
     const [tunnelLoading, setTunnelLoading] = useState(false);
     const [tunnelError, setTunnelError] = useState(null);
     const [downloadProgress, setDownloadProgress] = useState(null); // { downloaded, total }
-    const speakerUrl = `${tunnelUrl || lanBaseUrl}?view=speaker`;
+    const [roomId, setRoomId] = useState(activeRoom);
+    const [rooms, setRooms] = useState([]);
+    const [rundown, setRundown] = useState(() =>
+        initialSnapshot?.rundown || { items: [], currentIndex: -1, autoAdvance: false }
+    );
+    const [message, setMessage] = useState(null);
+    const [cannedMessages, setCannedMessages] = useState([]);
+    const [history, setHistory] = useState([]);
+    const [showReport, setShowReport] = useState(false);
+    const [webhooks, setWebhooks] = useState([]);
+    const [presets, setPresets] = useState([]);
+    const [devices, setDevices] = useState([]);
+    const [showDevices, setShowDevices] = useState(false);
+    const [identifying, setIdentifying] = useState(false);
+    const [kicked, setKicked] = useState(false);
+    const currentSession = rundown.items[rundown.currentIndex] || null;
+    const nextSession = rundown.items[rundown.currentIndex + 1] || null;
+    const speakerUrl = `${tunnelUrl || lanBaseUrl}?room=${encodeURIComponent(roomId)}&view=speaker${speakerToken ? `&token=${speakerToken}` : ''}`;
+    // Browser source for OBS/vMix: same access as the speaker link
+    // OBS/vMix browser sources usually do not trust the local CA: keep the overlay on plain HTTP
+    const overlayUrl = `${httpBaseUrl}?room=${encodeURIComponent(roomId)}&view=overlay&pos=bottom-right&size=10&title=1${speakerToken ? `&token=${speakerToken}` : ''}`;
 
     // Sync with Server
     useEffect(() => {
         socket.on('timer-update', (state) => {
-            setTimeLeft(state.timeLeft);
+            setTimer(state);
             setStatus(state.status);
             setOvertimeMode(state.overtimeMode);
+            saveSnapshot(activeRoom, { timer: state });
+        });
+        socket.on('rundown-update', (nextRundown) => {
+            setRundown(nextRundown);
+            saveSnapshot(activeRoom, { rundown: nextRundown });
+        });
+        socket.on('rooms-list', setRooms);
+        socket.on('message-update', setMessage);
+        socket.on('canned-messages', setCannedMessages);
+        socket.on('report-update', setHistory);
+        socket.on('cue', (cue) => playCue(cue.type));
+        socket.on('webhooks', setWebhooks);
+        socket.on('presets', setPresets);
+        socket.on('room-joined', (id) => {
+            activeRoom = id;
+            setRoomId(id);
+            const url = new URL(window.location.href);
+            url.searchParams.set('room', id);
+            window.history.replaceState(null, '', url);
         });
         // Fix 6: Track connection state
-        socket.on('connect', () => setConnected(true));
-        socket.on('disconnect', () => setConnected(false));
+        socket.on('connect', () => {
+            setConnected(true);
+            syncClock(socket);
+        });
+        socket.on('disconnect', (reason) => {
+            setConnected(false);
+            // Disconnected from the devices panel: socket.io does not reconnect
+            if (reason === 'io server disconnect') setKicked(true);
+        });
+        socket.on('devices', setDevices);
+        socket.on('device-ping', (ack) => ack());
+        socket.on('device-name', (name) => {
+            deviceName = name;
+            localStorage.setItem('sunstop-device-name', name);
+        });
+        socket.on('identify', () => setIdentifying(true));
+        socket.on('force-view', setViewMode);
+        socket.on('session', (session) => {
+            setRole(session.role);
+            setAuthState(null);
+            pendingPin = null;
+            if (session.token) {
+                authToken = session.token;
+                localStorage.setItem('sunstop-token', session.token);
+            }
+            if (session.speakerToken) setSpeakerToken(session.speakerToken);
+            if (session.role !== 'director') setViewMode(prev => prev === 'OVERLAY' ? prev : 'SPEAKER');
+        });
+        socket.on('connect_error', (err) => {
+            if (err.message !== 'unauthorized') return;
+            // The server does not retry refused handshakes; wait for a PIN
+            setAuthState(pendingPin ? 'failed' : 'required');
+            pendingPin = null;
+        });
         socket.on('server-info', (info) => {
             if (info.addresses && info.addresses.length > 0) {
-                setLanBaseUrl(`http://${info.addresses[0]}:${info.port}`);
+                const address = info.addresses[0];
+                setHttpBaseUrl(`http://${address}:${info.port}`);
+                // Speaker screens need a secure context for the PWA, wake lock and fullscreen
+                setLanBaseUrl(info.httpsPort ? `https://${address}:${info.httpsPort}` : `http://${address}:${info.port}`);
             }
+            setHttpsEnabled(!!info.httpsPort);
         });
         socket.on('tunnel-status', (data) => {
             if (data.downloading) {
@@ -69,8 +200,24 @@ function App() {
         });
         return () => {
             socket.off('timer-update');
+            socket.off('rundown-update');
+            socket.off('rooms-list');
+            socket.off('message-update');
+            socket.off('canned-messages');
+            socket.off('report-update');
+            socket.off('cue');
+            socket.off('webhooks');
+            socket.off('presets');
+            socket.off('devices');
+            socket.off('device-ping');
+            socket.off('device-name');
+            socket.off('identify');
+            socket.off('force-view');
+            socket.off('room-joined');
             socket.off('connect');
             socket.off('disconnect');
+            socket.off('session');
+            socket.off('connect_error');
             socket.off('server-info');
             socket.off('tunnel-status');
             socket.off('tunnel-download-progress');
@@ -78,17 +225,22 @@ function App() {
         };
     }, []);
 
-    // Parse Buffer helper
+    // Parse Buffer helper: digits fill from the right, HHMMSS (up to four digits
+    // the minutes may run past 59, so "9000" is still 90 minutes)
     const parseBufferToTime = (buffer) => {
-        const minutes = parseInt(buffer.slice(0, buffer.length - 2) || '0', 10);
+        const hours = parseInt(buffer.slice(0, Math.max(0, buffer.length - 4)) || '0', 10);
+        const minutes = parseInt(buffer.slice(Math.max(0, buffer.length - 4), buffer.length - 2) || '0', 10);
         const seconds = parseInt(buffer.slice(-2) || '0', 10);
-        return minutes * 60 + seconds;
+        return hours * 3600 + minutes * 60 + seconds;
     };
 
     const formatBuffer = (buffer) => {
-        const minutes = buffer.slice(0, buffer.length - 2) || '0';
         const seconds = buffer.slice(-2) || '0';
-        return minutes.padStart(2, '0') + ':' + seconds.padStart(2, '0');
+        if (buffer.length <= 4) {
+            const minutes = buffer.slice(0, buffer.length - 2) || '0';
+            return minutes.padStart(2, '0') + ':' + seconds.padStart(2, '0');
+        }
+        return buffer.slice(0, -4) + ':' + buffer.slice(-4, -2) + ':' + seconds;
     };
 
     // --- ACTIONS ---
@@ -98,17 +250,79 @@ function App() {
     const sendStop = () => socket.emit('stop');
     const sendMode = (mode) => socket.emit('set-mode', mode);
     const sendSetAndStart = (time) => socket.emit('set-and-start', time);
+    const sendAdjust = (seconds) => socket.emit('adjust-time', seconds);
+    const sendTarget = (time, start) => socket.emit('set-target', { time, start });
+    const sendPreset = (id, start) => socket.emit('apply-preset', { id, start });
+
+    // Input buffer, shared by the keyboard and the on-screen keypad
+    // A time of day is HH:MM; a duration can be HH:MM:SS
+    const appendDigit = useCallback(
+        (digit) => setInputBuffer(prev => (prev + digit).slice(inputMode === 'TARGET' ? -4 : -6)),
+        [inputMode]
+    );
+
+    const toggleTargetMode = () => {
+        setInputMode(prev => prev === 'TARGET' ? 'DURATION' : 'TARGET');
+        setInputBuffer(prev => prev.slice(-4));
+    };
+
+    const cancelInput = () => {
+        setInputBuffer('');
+        setInputMode('DURATION');
+    };
+
+    const confirmInput = useCallback((startNow) => {
+        if (inputMode === 'TARGET') {
+            if (isValidTarget(inputBuffer)) sendTarget(formatBuffer(inputBuffer), startNow);
+        } else if (startNow) {
+            // Fix 4: Atomic SET & START
+            sendSetAndStart(parseBufferToTime(inputBuffer));
+        } else {
+            sendTime(parseBufferToTime(inputBuffer));
+        }
+        cancelInput();
+    }, [inputMode, inputBuffer]);
 
     // Keyboard Handlers
     useEffect(() => {
         const handleKeyDown = (e) => {
-            if (e.target.tagName === 'INPUT') return;
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+            // Overlays run unattended inside a streaming app
+            if (viewMode === 'OVERLAY') return;
 
             const key = e.key;
 
+            // Read-only devices only get fullscreen
+            if (!isDirector && key.toLowerCase() !== 'f') return;
+
             // Numeric Input - ALLOW in ANY state now (Hot-Swap)
             if (/^[0-9]$/.test(key)) {
-                setInputBuffer(prev => (prev + key).slice(-4));
+                appendDigit(key);
+                return;
+            }
+
+            // Presets: F1-F12 in list order, with Shift also start
+            const presetKey = /^F(\d{1,2})$/.exec(key);
+            if (presetKey && presets[Number(presetKey[1]) - 1]) {
+                e.preventDefault();
+                sendPreset(presets[Number(presetKey[1]) - 1].id, e.shiftKey);
+                cancelInput();
+                return;
+            }
+
+            // Nudge time: +/- one minute, with Shift ten seconds
+            const isPlus = key === '+' || key === '=' || e.code === 'NumpadAdd';
+            const isMinus = key === '-' || key === '_' || e.code === 'NumpadSubtract';
+            if (isPlus || isMinus) {
+                e.preventDefault();
+                const step = e.shiftKey ? 10 : 60;
+                sendAdjust(isPlus ? step : -step);
+                return;
+            }
+
+            // Target time entry (T): count down to a time of day instead of a duration
+            if (key.toLowerCase() === 't') {
+                toggleTargetMode();
                 return;
             }
 
@@ -133,15 +347,17 @@ function App() {
                 case 'Backspace':
                     if (inputBuffer.length > 0) {
                         setInputBuffer(prev => prev.slice(0, -1));
+                    } else if (inputMode === 'TARGET') {
+                        setInputMode('DURATION');
                     } else {
                         // If no buffer, Backspace stops/resets as before?
                         sendStop();
                     }
                     break;
                 case 'Escape':
-                    if (inputBuffer.length > 0) {
+                    if (isEditing) {
                         // Cancel Edit
-                        setInputBuffer('');
+                        cancelInput();
                     } else {
                         // Stop Timer
                         sendStop();
@@ -149,12 +365,9 @@ function App() {
                     break;
                 case ' ': // Space
                     e.preventDefault();
-                    if (inputBuffer.length > 0) {
+                    if (isEditing) {
                         // CONFIRM -> SET & WAIT
-                        const time = parseBufferToTime(inputBuffer);
-                        sendTime(time);
-                        // sendStop(); REMOVED to prevent reset to 0
-                        setInputBuffer('');
+                        confirmInput(false);
                     } else {
                         // Normal toggle behavior
                         if (status === 'IDLE') sendStart();
@@ -165,11 +378,8 @@ function App() {
                     break;
                 case 'Enter':
                     e.preventDefault();
-                    if (inputBuffer.length > 0) {
-                        // Fix 4: Atomic SET & START
-                        const time = parseBufferToTime(inputBuffer);
-                        sendSetAndStart(time);
-                        setInputBuffer('');
+                    if (isEditing) {
+                        confirmInput(true);
                     } else {
                         // Normal toggle behavior
                         if (status === 'IDLE') sendStart();
@@ -185,16 +395,29 @@ function App() {
 
         window.addEventListener('keydown', handleKeyDown);
         return () => window.removeEventListener('keydown', handleKeyDown);
-    }, [status, inputBuffer]);
+    }, [status, inputBuffer, inputMode, isEditing, isDirector, viewMode, presets, appendDigit, confirmInput]);
 
     // Wrapper functions for UI controls
-    const handleStart = () => sendStart();
+    // With a time typed in, Start means Set & Start
+    const handleStart = () => (isEditing ? confirmInput(true) : sendStart());
     const handlePause = () => sendPause();
     const handleStop = () => {
         sendStop();
         setInputBuffer('');
     };
     const handleModeChange = (mode) => sendMode(mode);
+    const handlePinSubmit = (pin) => {
+        pendingPin = pin;
+        socket.connect();
+    };
+    const handleRoomChange = (id) => {
+        if (id === '__new__') {
+            const name = window.prompt('Nome della nuova sala (es. hall-b):');
+            if (name && name.trim()) socket.emit('join-room', name.trim());
+            return;
+        }
+        socket.emit('join-room', id);
+    };
 
     // Fullscreen tracking
     useEffect(() => {
@@ -212,6 +435,24 @@ function App() {
         setShowFullscreenHint(false);
     };
 
+    // Keep the devices panel up to date with what this screen shows
+    useEffect(() => {
+        if (connected) socket.emit('device-info', { name: deviceName, view: viewMode });
+    }, [connected, viewMode]);
+
+    // Identify: flash for a few seconds so the director can spot the screen
+    useEffect(() => {
+        if (!identifying) return;
+        const timeout = setTimeout(() => setIdentifying(false), 5000);
+        return () => clearTimeout(timeout);
+    }, [identifying]);
+
+    // Tell the director the message actually reached a speaker screen
+    const messageId = message?.id;
+    useEffect(() => {
+        if (viewMode === 'SPEAKER' && messageId) socket.emit('message-seen', messageId);
+    }, [viewMode, messageId]);
+
     // Safe reset of showSettings when switching modes
     useEffect(() => {
         if (viewMode === 'SPEAKER') setShowSettings(false);
@@ -219,14 +460,66 @@ function App() {
         if (viewMode === 'SPEAKER') setShowFullscreenHint(true);
     }, [viewMode]);
 
+    if (authState) {
+        return (
+            <div className="flex-col fill-height">
+                <PinLogin onSubmit={handlePinSubmit} failed={authState === 'failed'} />
+            </div>
+        );
+    }
+
+    const controlsProps = {
+        status,
+        onStart: handleStart,
+        onPause: handlePause,
+        onStop: handleStop,
+        onAdjust: sendAdjust,
+        adjustedBy: (timer.adjustments || []).reduce((sum, adj) => sum + adj.seconds, 0),
+        canStart: timer.remainingMs > 0 || inputBuffer.length > 0,
+        nextPhase: timer.phases?.list[timer.phases.index + 1]?.label || null,
+        onNextPhase: () => socket.emit('next-phase')
+    };
+
+    if (viewMode === 'OVERLAY') {
+        return <OverlayView timer={timer} session={currentSession} params={urlParams} offline={!connected} />;
+    }
+
+    if (viewMode === 'REMOTE') {
+        return (
+            <RemoteView
+                timer={timer}
+                roomId={roomId}
+                session={currentSession}
+                connected={connected}
+                inputText={formatBuffer(inputBuffer)}
+                inputMode={inputMode}
+                isEditing={isEditing}
+                canConfirm={inputMode === 'TARGET' ? isValidTarget(inputBuffer) : inputBuffer.length > 0}
+                onDigit={appendDigit}
+                onDelete={() => setInputBuffer(prev => prev.slice(0, -1))}
+                onToggleTarget={toggleTargetMode}
+                onCancel={cancelInput}
+                onConfirm={confirmInput}
+                onExit={() => setViewMode('DIRECTOR')}
+                controls={controlsProps}
+            />
+        );
+    }
+
     return (
         <div className="flex-col fill-height" style={{
             background: viewMode === 'SPEAKER' ? '#000' : 'var(--bg-primary)',
             transition: 'background 0.5s ease',
             justifyContent: viewMode === 'SPEAKER' ? 'center' : 'flex-start'
         }}>
-            {/* Fix 6: Disconnect banner */}
-            {!connected && (
+            {/* Fix 6: Disconnect banner. Speaker screens keep counting from the last
+                state, so they only get a discreet marker instead */}
+            {!connected && viewMode === 'SPEAKER' && !kicked && (
+                <div className="offline-indicator" title="Connessione persa - il timer continua in locale">
+                    OFFLINE
+                </div>
+            )}
+            {!connected && (viewMode !== 'SPEAKER' || kicked) && (
                 <div style={{
                     position: 'fixed',
                     top: 0,
@@ -240,7 +533,7 @@ function App() {
                     fontWeight: 600,
                     zIndex: 1000
                 }}>
-                    Connessione persa - riconnessione in corso...
+                    {kicked ? 'Disconnesso dalla regia' : 'Connessione persa - riconnessione in corso...'}
                 </div>
             )}
 
@@ -298,6 +591,49 @@ function App() {
                 </div>
             )}
 
+            {identifying && (
+                <div className="identify-flash" style={{
+                    position: 'fixed',
+                    top: 0,
+                    left: 0,
+                    right: 0,
+                    bottom: 0,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    fontSize: '8vw',
+                    fontWeight: 700,
+                    color: '#fff',
+                    textAlign: 'center',
+                    zIndex: 3000,
+                    pointerEvents: 'none'
+                }}>
+                    {deviceName || 'Questo schermo'}
+                </div>
+            )}
+
+            {showDevices && viewMode === 'DIRECTOR' && (
+                <DevicesPanel
+                    devices={devices}
+                    ownId={socket.id}
+                    onIdentify={(id) => socket.emit('device-identify', id)}
+                    onRename={(id, name) => socket.emit('device-rename', { id, name })}
+                    onForceSpeaker={(id) => socket.emit('device-force-view', id)}
+                    onDisconnect={(id) => socket.emit('device-disconnect', id)}
+                    onClose={() => setShowDevices(false)}
+                />
+            )}
+
+            {showReport && viewMode === 'DIRECTOR' && (
+                <ReportPanel
+                    history={history}
+                    csvUrl={`${SERVER_URL}/api/report.csv?token=${authToken}`}
+                    jsonUrl={`${SERVER_URL}/api/report.json?token=${authToken}`}
+                    onClear={() => socket.emit('clear-report')}
+                    onClose={() => setShowReport(false)}
+                />
+            )}
+
             {/* Settings dropdown - rendered at root level to avoid overflow:hidden clipping */}
             {showSettings && (
                 <>
@@ -310,6 +646,8 @@ function App() {
                         top: '60px',
                         right: '2rem',
                         width: '280px',
+                        maxHeight: 'calc(100vh - 80px)',
+                        overflowY: 'auto',
                         zIndex: 100,
                         padding: '1rem',
                         textAlign: 'left'
@@ -335,6 +673,15 @@ function App() {
                                     />
                                     <span>Relatore (Speaker Only)</span>
                                 </label>
+                                <label style={{ display: 'flex', gap: '0.5rem', cursor: 'pointer', alignItems: 'center' }}>
+                                    <input
+                                        type="radio"
+                                        name="view"
+                                        checked={viewMode === 'REMOTE'}
+                                        onChange={() => setViewMode('REMOTE')}
+                                    />
+                                    <span>Telecomando (Touch)</span>
+                                </label>
                             </div>
                         </div>
 
@@ -362,6 +709,65 @@ function App() {
                             </div>
                         </div>
 
+                        <div style={{ borderTop: '1px solid var(--border-color)', marginTop: '1rem', paddingTop: '1rem' }}>
+                            <ThresholdSettings
+                                key={JSON.stringify(timer.thresholds)}
+                                thresholds={timer.thresholds}
+                                onApply={(thresholds) => socket.emit('set-thresholds', thresholds)}
+                            />
+                        </div>
+
+                        <div style={{ borderTop: '1px solid var(--border-color)', marginTop: '1rem', paddingTop: '1rem' }}>
+                            <h3 style={{ marginBottom: '0.5rem', fontSize: '0.9rem', color: 'var(--text-secondary)' }}>AUDIO CUES</h3>
+                            <div className="flex-col gap-md">
+                                {[
+                                    ['thresholds', 'A ogni soglia'],
+                                    ['zero', 'A 00:00'],
+                                    ['overtime', 'Ogni minuto di sforamento']
+                                ].map(([key, label]) => (
+                                    <label key={key} style={{ display: 'flex', gap: '0.5rem', cursor: 'pointer', alignItems: 'center' }}>
+                                        <input
+                                            type="checkbox"
+                                            checked={!!timer.cues?.[key]}
+                                            onChange={(e) => socket.emit('set-cues', { ...timer.cues, [key]: e.target.checked })}
+                                        />
+                                        <span>{label}</span>
+                                    </label>
+                                ))}
+                                <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>Questo dispositivo</div>
+                                <AudioSettings />
+                            </div>
+                        </div>
+
+                        <div style={{ borderTop: '1px solid var(--border-color)', marginTop: '1rem', paddingTop: '1rem' }}>
+                            <PresetSettings
+                                presets={presets}
+                                currentThresholds={timer.thresholds}
+                                onSave={(preset) => socket.emit('preset-save', preset)}
+                                onDelete={(id) => socket.emit('preset-delete', id)}
+                                onMove={(id, offset) => socket.emit('preset-move', { id, offset })}
+                            />
+                        </div>
+
+                        <div style={{ borderTop: '1px solid var(--border-color)', marginTop: '1rem', paddingTop: '1rem' }}>
+                            <PhaseSettings
+                                phases={timer.phases}
+                                onLoad={(phases, carryOverrun, start) => {
+                                    socket.emit('set-phases', { phases, carryOverrun, start });
+                                    cancelInput();
+                                }}
+                            />
+                        </div>
+
+                        <div style={{ borderTop: '1px solid var(--border-color)', marginTop: '1rem', paddingTop: '1rem' }}>
+                            <WebhookSettings
+                                webhooks={webhooks}
+                                onAdd={(hook) => socket.emit('webhook-add', hook)}
+                                onRemove={(id) => socket.emit('webhook-remove', id)}
+                                onTest={(id) => socket.emit('webhook-test', id)}
+                            />
+                        </div>
+
                         <div style={{ borderTop: '1px solid var(--border-color)', marginTop: '1rem', paddingTop: '1rem' }}>
                             <button
                                 onClick={() => {
@@ -413,13 +819,59 @@ function App() {
                         <span style={{ fontWeight: 700, letterSpacing: '-0.02em', fontSize: '1.4rem' }}>Sun Stop Timer</span>
                     </div>
 
-                    <button
-                        className="btn btn-text"
-                        onClick={() => setShowSettings(!showSettings)}
-                        style={{ fontSize: '0.9rem' }}
-                    >
-                        Settings
-                    </button>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                        <span style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>ROOM</span>
+                        <select
+                            value={roomId}
+                            onChange={(e) => handleRoomChange(e.target.value)}
+                            style={{
+                                background: 'var(--bg-secondary)',
+                                color: 'var(--text-primary)',
+                                border: '1px solid var(--border-color)',
+                                borderRadius: '6px',
+                                padding: '0.3rem 0.5rem',
+                                fontSize: '0.85rem'
+                            }}
+                        >
+                            {(rooms.includes(roomId) ? rooms : [...rooms, roomId]).map(id => (
+                                <option key={id} value={id}>{id}</option>
+                            ))}
+                            <option value="__new__">+ Nuova sala…</option>
+                        </select>
+                        {roomId !== 'main' && (
+                            <button
+                                className="btn btn-text"
+                                onClick={() => {
+                                    if (window.confirm(`Eliminare la sala "${roomId}"?`)) socket.emit('delete-room', roomId);
+                                }}
+                                style={{ fontSize: '0.8rem', padding: '0.3rem 0.6rem' }}
+                                title="Elimina sala"
+                            >
+                                ×
+                            </button>
+                        )}
+                        <button
+                            className="btn btn-text"
+                            onClick={() => setShowDevices(true)}
+                            style={{ fontSize: '0.9rem' }}
+                        >
+                            Devices ({devices.length})
+                        </button>
+                        <button
+                            className="btn btn-text"
+                            onClick={() => setShowReport(true)}
+                            style={{ fontSize: '0.9rem' }}
+                        >
+                            Report
+                        </button>
+                        <button
+                            className="btn btn-text"
+                            onClick={() => setShowSettings(!showSettings)}
+                            style={{ fontSize: '0.9rem' }}
+                        >
+                            Settings
+                        </button>
+                    </div>
                 </header>
             </div>
 
@@ -432,12 +884,83 @@ function App() {
                     onClick={viewMode === 'SPEAKER' ? toggleFullscreen : undefined}
                 >
                     <TimerDisplay
-                        seconds={timeLeft}
-                        status={status}
+                        timer={timer}
                         viewMode={viewMode}
+                        offline={!connected}
                     />
                 </div>
 
+                {/* Session info - Speaker mode only */}
+                {viewMode === 'SPEAKER' && currentSession && (
+                    <div style={{
+                        position: 'fixed',
+                        top: '2rem',
+                        left: '2rem',
+                        right: '2rem',
+                        textAlign: 'center',
+                        color: 'rgba(255,255,255,0.8)',
+                        pointerEvents: 'none'
+                    }}>
+                        <div style={{ fontSize: '3vw', fontWeight: 600, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                            {currentSession.title}
+                        </div>
+                        {currentSession.speaker && (
+                            <div style={{ fontSize: '1.8vw', color: 'rgba(255,255,255,0.5)' }}>{currentSession.speaker}</div>
+                        )}
+                    </div>
+                )}
+                {/* Director message banner - Speaker mode only, over the session title */}
+                {viewMode === 'SPEAKER' && message && (
+                    <div
+                        className={message.flash ? 'flash-banner' : ''}
+                        style={{
+                            position: 'fixed',
+                            top: 0,
+                            left: 0,
+                            right: 0,
+                            padding: '2vw 3vw',
+                            background: 'rgba(234, 179, 8, 0.95)',
+                            color: '#000',
+                            textAlign: 'center',
+                            fontSize: '5vw',
+                            fontWeight: 700,
+                            lineHeight: 1.1,
+                            zIndex: 20,
+                            pointerEvents: 'none',
+                            wordBreak: 'break-word'
+                        }}
+                    >
+                        {message.text}
+                    </div>
+                )}
+                {viewMode === 'SPEAKER' && nextSession && (
+                    <div style={{
+                        position: 'fixed',
+                        bottom: '5rem',
+                        left: '2rem',
+                        right: '2rem',
+                        textAlign: 'center',
+                        fontSize: '1.8vw',
+                        color: 'rgba(255,255,255,0.4)',
+                        pointerEvents: 'none'
+                    }}>
+                        Next: {nextSession.title || 'Senza titolo'}{nextSession.speaker ? ` — ${nextSession.speaker}` : ''}
+                    </div>
+                )}
+
+                {/* Audio opt-in - Speaker mode only, discreet until hovered */}
+                {viewMode === 'SPEAKER' && (
+                    <div className="speaker-audio" style={{
+                        position: 'fixed',
+                        bottom: '1rem',
+                        right: '1rem',
+                        width: '180px',
+                        zIndex: 10
+                    }}>
+                        <AudioSettings />
+                    </div>
+                )}
+
                 {/* Fullscreen hint - Speaker mode only */}
                 {viewMode === 'SPEAKER' && showFullscreenHint && !isFullscreen && (
                     <div
@@ -462,7 +985,7 @@ function App() {
                 )}
 
                 {/* POPUP FOR HOT-SWAP / EDITING */}
-                {inputBuffer.length > 0 && (
+                {isEditing && (
                     <div style={{
                         position: 'fixed',
                         top: '0', left: '0', width: '100%', height: '100%',
@@ -473,9 +996,16 @@ function App() {
                     }}>
                         <div className="card" style={{ padding: '3rem', textAlign: 'center', minWidth: '400px', border: '1px solid var(--accent-color)' }}>
                             <div style={{ fontSize: '1rem', color: 'var(--text-secondary)', marginBottom: '1rem', textTransform: 'uppercase' }}>
-                                New Timer
+                                {inputMode === 'TARGET' ? 'Count down until (HH:MM)' : 'New Timer'}
                             </div>
-                            <div style={{ fontSize: '5rem', fontWeight: 700, fontFamily: 'monospace', lineHeight: 1, marginBottom: '2rem' }}>
+                            <div style={{
+                                fontSize: '5rem',
+                                fontWeight: 700,
+                                fontFamily: 'monospace',
+                                lineHeight: 1,
+                                marginBottom: '2rem',
+                                color: inputMode === 'TARGET' && inputBuffer.length > 0 && !isValidTarget(inputBuffer) ? 'var(--danger-color)' : undefined
+                            }}>
                                 {formatBuffer(inputBuffer)}
                             </div>
                             <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
@@ -485,6 +1015,9 @@ function App() {
                                 <div className="flex-center gap-md">
                                     <kbd className="kbd">Enter</kbd> Set & START
                                 </div>
+                                <div className="flex-center gap-md">
+                                    <kbd className="kbd">T</kbd> {inputMode === 'TARGET' ? 'Duration' : 'Until time'}
+                                </div>
                                 <div className="flex-center gap-md">
                                     <kbd className="kbd">Esc</kbd> Cancel
                                 </div>
@@ -502,16 +1035,71 @@ function App() {
                     overflow: 'hidden'
                 }}>
                     <div style={{ margin: 'var(--spacing-xl) 0' }}>
-                        <Controls
-                            status={status}
-                            onStart={handleStart}
-                            onPause={handlePause}
-                            onStop={handleStop}
-                            canStart={timeLeft > 0 || inputBuffer.length > 0}
-                        />
+                        <Controls {...controlsProps} />
+                        <div style={{ display: 'flex', justifyContent: 'center', marginTop: '1rem' }}>
+                            <PresetBar
+                                presets={presets}
+                                onApply={(id, start) => {
+                                    sendPreset(id, start);
+                                    cancelInput();
+                                }}
+                            />
+                        </div>
+                        <div style={{ display: 'flex', justifyContent: 'center', marginTop: '0.75rem' }}>
+                            <ScheduleStart
+                                scheduled={timer.scheduledStart}
+                                missed={timer.missedStart}
+                                onSchedule={(time, seconds) => socket.emit('schedule-start', { time, seconds })}
+                                onCancel={() => socket.emit('cancel-schedule')}
+                                onDismissMissed={() => socket.emit('dismiss-missed-start')}
+                            />
+                        </div>
                     </div>
                 </div>
 
+                {/* Messages - Only in DIRECTOR mode */}
+                {viewMode === 'DIRECTOR' && (
+                    <div style={{
+                        position: 'fixed',
+                        top: '80px',
+                        left: '2rem',
+                        width: '280px'
+                    }}>
+                        <MessagePanel
+                            message={message}
+                            cannedMessages={cannedMessages}
+                            onSend={(msg) => socket.emit('send-message', msg)}
+                            onClear={() => socket.emit('clear-message')}
+                            onSaveCanned={(text) => socket.emit('save-canned-message', text)}
+                            onDeleteCanned={(text) => socket.emit('delete-canned-message', text)}
+                        />
+                    </div>
+                )}
+
+                {/* Rundown - Only in DIRECTOR mode */}
+                {viewMode === 'DIRECTOR' && (
+                    <div style={{
+                        position: 'fixed',
+                        top: '80px',
+                        right: '2rem',
+                        bottom: '220px',
+                        width: '300px',
+                        display: 'flex',
+                        flexDirection: 'column'
+                    }}>
+                        <RundownPanel
+                            rundown={rundown}
+                            onAdd={(item) => socket.emit('rundown-add', item)}
+                            onRemove={(id) => socket.emit('rundown-remove', id)}
+                            onClear={() => socket.emit('rundown-clear')}
+                            onJump={(index) => socket.emit('rundown-jump', index)}
+                            onNext={() => socket.emit('rundown-next')}
+                            onPrevious={() => socket.emit('rundown-previous')}
+                            onAutoAdvanceChange={(enabled) => socket.emit('rundown-set-auto-advance', enabled)}
+                        />
+                    </div>
+                )}
+
                 {/* Footer - Only in DIRECTOR mode */}
                 <div style={{
                     opacity: viewMode === 'DIRECTOR' ? 1 : 0,
@@ -543,6 +1131,16 @@ function App() {
                             <kbd style={{ background: 'rgba(255,255,255,0.1)', padding: '0.2rem 0.6rem', borderRadius: '4px' }}>Enter</kbd>
                             <span>Start</span>
                         </div>
+                        <div className="flex-center gap-md">
+                            <kbd style={{ background: 'rgba(255,255,255,0.1)', padding: '0.2rem 0.6rem', borderRadius: '4px' }}>+/-</kbd>
+                            <span>±1 min (Shift ±10s)</span>
+                        </div>
+                        {presets.length > 0 && (
+                            <div className="flex-center gap-md">
+                                <kbd style={{ background: 'rgba(255,255,255,0.1)', padding: '0.2rem 0.6rem', borderRadius: '4px' }}>F1-F{presets.length}</kbd>
+                                <span>Presets</span>
+                            </div>
+                        )}
                         <div className="flex-center gap-md">
                             <kbd style={{ background: 'rgba(255,255,255,0.1)', padding: '0.2rem 0.6rem', borderRadius: '4px' }}>V</kbd>
                             <span>View</span>
@@ -584,6 +1182,50 @@ function App() {
                         >
                             {tunnelUrl ? 'Internet' : 'LAN'} Speaker View
                         </a>
+                        <a
+                            href={overlayUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            title="Browser source per OBS/vMix (pos, size, font, title)"
+                            style={{
+                                color: 'var(--text-secondary)',
+                                fontSize: '0.7rem',
+                                textDecoration: 'none',
+                                opacity: 0.8
+                            }}
+                        >
+                            Stream Overlay
+                        </a>
+                        {httpsEnabled && !tunnelUrl && (
+                            <a
+                                href={`${httpBaseUrl}/ca`}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                title="Da aprire una volta su ogni dispositivo prima della vista speaker HTTPS"
+                                style={{
+                                    color: 'var(--text-secondary)',
+                                    fontSize: '0.7rem',
+                                    textDecoration: 'none',
+                                    opacity: 0.8
+                                }}
+                            >
+                                Certificato HTTPS
+                            </a>
+                        )}
+                        <a
+                            href={`${httpBaseUrl}/discover`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            title="Altri Sun Stop Timer nella rete locale"
+                            style={{
+                                color: 'var(--text-secondary)',
+                                fontSize: '0.7rem',
+                                textDecoration: 'none',
+                                opacity: 0.8
+                            }}
+                        >
+                            Altri timer
+                        </a>
                         <button
                             onClick={() => {
                                 if (tunnelUrl) {
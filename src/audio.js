@@ -0,0 +1,41 @@
+// Audio cues. The server decides when a cue happens and sends it to every
+// screen of the room; each device decides whether, and how loud, to play it.
+const STORAGE_KEY = 'sunstop-audio';
+
+// Bundled in public/ so the service worker precaches them for offline use
+const SOUNDS = {
+    threshold: '/sounds/warning.wav',
+    zero: '/sounds/zero.wav',
+    overtime: '/sounds/overtime.wav'
+};
+
+const DEFAULT_SETTINGS = { enabled: false, volume: 0.7 };
+
+const loadSettings = () => {
+    try {
+        return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+    } catch {
+        return { ...DEFAULT_SETTINGS };
+    }
+};
+
+let settings = loadSettings();
+const players = {};
+
+export const getAudioSettings = () => settings;
+
+export const setAudioSettings = (changes) => {
+    settings = { ...settings, ...changes };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    return settings;
+};
+
+export const playCue = (type) => {
+    if (!settings.enabled || !SOUNDS[type]) return;
+    if (!players[type]) players[type] = new Audio(SOUNDS[type]);
+    const player = players[type];
+    player.volume = settings.volume;
+    player.currentTime = 0;
+    // Browsers refuse to play before the first user interaction with the page
+    player.play().catch(() => {});
+};
@@ -0,0 +1,96 @@
+import { useState, useEffect } from 'react'
+
+// Offset between this device's clock and the server's (serverTime - localTime).
+// Every display computes the countdown from the server's `endsAt`, so with a
+// good offset all screens flip the second at the same moment. Remembered across
+// reloads so a screen that comes back offline still counts right.
+const OFFSET_KEY = 'sunstop-clock-offset';
+let clockOffset = Number(localStorage.getItem(OFFSET_KEY)) || 0;
+
+const SYNC_SAMPLES = 5;
+
+// Small corrections (after a reconnect, typically) are spread over SLEW_MS so the
+// display does not skip or repeat a second; big ones are applied at once.
+const SLEW_MS = 2000;
+const MAX_SLEW_OFFSET = 2000;
+let slew = null;
+
+const currentOffset = (now) => {
+    if (!slew) return clockOffset;
+    const progress = (now - slew.startedAt) / SLEW_MS;
+    if (progress >= 1) {
+        slew = null;
+        return clockOffset;
+    }
+    return slew.from + (clockOffset - slew.from) * progress;
+};
+
+const setClockOffset = (offset) => {
+    const now = Date.now();
+    const from = currentOffset(now);
+    slew = Math.abs(offset - from) <= MAX_SLEW_OFFSET ? { from, startedAt: now } : null;
+    clockOffset = offset;
+    localStorage.setItem(OFFSET_KEY, String(Math.round(offset)));
+};
+
+export const serverNow = () => {
+    const now = Date.now();
+    return now + currentOffset(now);
+};
+
+// NTP-style exchange: keep the sample with the shortest round trip, assume the
+// reply took half of it to come back.
+export const syncClock = async (socket) => {
+    let best = null;
+    for (let i = 0; i < SYNC_SAMPLES; i++) {
+        const sample = await new Promise((resolve) => {
+            const sentAt = Date.now();
+            socket.timeout(2000).emit('time-sync', sentAt, (err, serverTime) => {
+                if (err || typeof serverTime !== 'number') return resolve(null);
+                const receivedAt = Date.now();
+                const roundTrip = receivedAt - sentAt;
+                resolve({ roundTrip, offset: serverTime + roundTrip / 2 - receivedAt });
+            });
+        });
+        if (sample && (!best || sample.roundTrip < best.roundTrip)) best = sample;
+    }
+    if (best) setClockOffset(best.offset);
+    return best;
+};
+
+export const getRemainingMs = (timer, now = serverNow()) =>
+    timer.status === 'RUNNING' ? timer.endsAt - now : timer.remainingMs;
+
+export const getTimeLeft = (timer, now) => {
+    const seconds = Math.ceil(getRemainingMs(timer, now) / 1000) || 0;
+    // In STOP mode the server finishes at zero; do not flash -00:01 before it says so
+    return timer.overtimeMode === 'STOP' ? Math.max(0, seconds) : seconds;
+};
+
+// Warning stage for a displayed time, by the same rule as the server. The server's
+// `stage` keeps every screen in step; this is for screens that lost it.
+export const stageAt = (timer, seconds) => {
+    if (timer.status === 'IDLE') return -1;
+    let stage = -1;
+    (timer.thresholds || []).forEach((threshold, index) => {
+        if (seconds <= threshold.at) stage = index;
+    });
+    return stage;
+};
+
+// Re-renders only when the displayed second changes
+export const useTimeLeft = (timer) => {
+    const [seconds, setSeconds] = useState(() => getTimeLeft(timer));
+
+    useEffect(() => {
+        let frame;
+        const loop = () => {
+            setSeconds(getTimeLeft(timer));
+            frame = requestAnimationFrame(loop);
+        };
+        frame = requestAnimationFrame(loop);
+        return () => cancelAnimationFrame(frame);
+    }, [timer]);
+
+    return seconds;
+};
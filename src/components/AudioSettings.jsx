@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+import { getAudioSettings, setAudioSettings, playCue } from '../audio';
+
+// Per-device opt-in and volume; stored locally, never sent to the server
+const AudioSettings = () => {
+    const [settings, setSettings] = useState(getAudioSettings);
+
+    const update = (changes) => setSettings(setAudioSettings(changes));
+
+    return (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.85rem' }}>
+            <label style={{ display: 'flex', gap: '0.5rem', cursor: 'pointer', alignItems: 'center', whiteSpace: 'nowrap' }}>
+                <input
+                    type="checkbox"
+                    checked={settings.enabled}
+                    onChange={(e) => {
+                        update({ enabled: e.target.checked });
+                        // Preview, and unlocks audio playback on this page
+                        if (e.target.checked) playCue('threshold');
+                    }}
+                />
+                <span>Suoni</span>
+            </label>
+            <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={settings.volume}
+                disabled={!settings.enabled}
+                onChange={(e) => update({ volume: Number(e.target.value) })}
+                onPointerUp={() => playCue('threshold')}
+                style={{ flex: 1, minWidth: 0 }}
+                title="Volume"
+            />
+        </div>
+    );
+};
+
+export default AudioSettings;
@@ -1,48 +1,90 @@
 import React from 'react';
 
-const Controls = ({ status, onStart, onPause, onStop, canStart }) => {
+const ADJUST_STEPS = [-60, -10, 10, 60];
+
+const formatStep = (seconds) => {
+    const sign = seconds > 0 ? '+' : '-';
+    const abs = Math.abs(seconds);
+    return abs >= 60 ? `${sign}${abs / 60}m` : `${sign}${abs}s`;
+};
+
+// `large` is the touch layout: bigger targets for fingers
+// `nextPhase` is the label of the phase that follows in a multi-phase run, if any
+const Controls = ({ status, onStart, onPause, onStop, onAdjust, canStart, adjustedBy = 0, nextPhase = null, onNextPhase, large = false }) => {
+    const sizeStyle = large ? { padding: '1.2rem 1.5rem', fontSize: '1.3rem' } : {};
+    const adjustSizeStyle = large ? { padding: '0.9rem 0.5rem', fontSize: '1.1rem', flex: 1 } : {};
+
     return (
-        <div className="controls" style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
-
-            {status === 'IDLE' && (
-                <button
-                    className="btn btn-primary"
-                    onClick={onStart}
-                    disabled={!canStart}
-                    style={{
-                        minWidth: '150px',
-                        opacity: canStart ? 1 : 0.5,
-                        cursor: canStart ? 'pointer' : 'not-allowed'
-                    }}
-                >
-                    Start
-                </button>
-            )}
-
-            {(status === 'RUNNING' || status === 'PAUSED') && (
-                <>
-                    {status === 'RUNNING' ? (
-                        <button className="btn" onClick={onPause} style={{ minWidth: '120px' }}>
-                            Pause
-                        </button>
-                    ) : (
-                        <button className="btn btn-primary" onClick={onStart} style={{ minWidth: '120px' }}>
-                            Resume
+        <div className="flex-col" style={{ alignItems: 'center', gap: '1rem' }}>
+            <div className="controls" style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
+
+                {status === 'IDLE' && (
+                    <button
+                        className="btn btn-primary"
+                        onClick={onStart}
+                        disabled={!canStart}
+                        style={{
+                            minWidth: '150px',
+                            opacity: canStart ? 1 : 0.5,
+                            cursor: canStart ? 'pointer' : 'not-allowed',
+                            ...sizeStyle
+                        }}
+                    >
+                        Start
+                    </button>
+                )}
+
+                {(status === 'RUNNING' || status === 'PAUSED') && (
+                    <>
+                        {status === 'RUNNING' ? (
+                            <button className="btn" onClick={onPause} style={{ minWidth: '120px', ...sizeStyle }}>
+                                Pause
+                            </button>
+                        ) : (
+                            <button className="btn btn-primary" onClick={onStart} style={{ minWidth: '120px', ...sizeStyle }}>
+                                Resume
+                            </button>
+                        )}
+
+                        <button className="btn btn-danger" onClick={onStop} style={{ minWidth: '120px', ...sizeStyle }}>
+                            Stop
                         </button>
-                    )}
+                    </>
+                )}
 
-                    <button className="btn btn-danger" onClick={onStop} style={{ minWidth: '120px' }}>
-                        Stop
+                {status === 'FINISHED' && (
+                    <button className="btn btn-danger" onClick={onStop} style={sizeStyle}>
+                        Reset
                     </button>
-                </>
-            )}
+                )}
 
-            {status === 'FINISHED' && (
-                <button className="btn btn-danger" onClick={onStop}>
-                    Reset
-                </button>
-            )}
+                {nextPhase && (
+                    <button className="btn" onClick={onNextPhase} title="Passa alla fase successiva" style={{ minWidth: '120px', ...sizeStyle }}>
+                        → {nextPhase}
+                    </button>
+                )}
+
+            </div>
 
+            {/* Nudge time without interrupting the timer */}
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', alignSelf: large ? 'stretch' : 'auto' }}>
+                {ADJUST_STEPS.map(step => (
+                    <button
+                        key={step}
+                        className="btn"
+                        onClick={() => onAdjust(step)}
+                        disabled={status === 'FINISHED' && step < 0}
+                        style={{ padding: '0.4rem 0.9rem', fontSize: '0.9rem', minWidth: '64px', ...adjustSizeStyle }}
+                    >
+                        {formatStep(step)}
+                    </button>
+                ))}
+                {adjustedBy !== 0 && (
+                    <span className="text-mono" style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginLeft: '0.5rem' }}>
+                        {adjustedBy > 0 ? '+' : '-'}{Math.floor(Math.abs(adjustedBy) / 60)}:{String(Math.abs(adjustedBy) % 60).padStart(2, '0')}
+                    </span>
+                )}
+            </div>
         </div>
     );
 };
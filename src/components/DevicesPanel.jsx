@@ -0,0 +1,112 @@
+import React from 'react';
+
+const cellStyle = {
+    padding: '0.35rem 0.5rem',
+    borderBottom: '1px solid var(--border-color)',
+    whiteSpace: 'nowrap'
+};
+
+// Only these can be switched to the speaker view; an overlay is on air
+const DIRECTOR_VIEWS = ['DIRECTOR', 'REMOTE'];
+
+const formatClock = (epoch) =>
+    new Date(epoch).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const latencyColor = (ms) => {
+    if (ms === null) return 'var(--danger-color)';
+    return ms > 250 ? 'var(--warning-color)' : 'var(--text-secondary)';
+};
+
+const DevicesPanel = ({ devices, ownId, onIdentify, onRename, onForceSpeaker, onDisconnect, onClose }) => (
+    <>
+        <div
+            style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, background: 'rgba(0,0,0,0.6)', zIndex: 199 }}
+            onClick={onClose}
+        />
+        <div className="card" style={{
+            position: 'fixed',
+            top: '80px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            width: 'min(900px, calc(100vw - 4rem))',
+            maxHeight: 'calc(100vh - 120px)',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '0.75rem',
+            zIndex: 200,
+            padding: '1rem',
+            textAlign: 'left'
+        }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <h3 style={{ fontSize: '0.9rem', color: 'var(--text-secondary)' }}>DEVICES ({devices.length})</h3>
+                <button className="btn btn-text" onClick={onClose} style={{ fontSize: '0.8rem', padding: '0.3rem 0.6rem' }}>×</button>
+            </div>
+
+            <div style={{ overflow: 'auto', flex: 1 }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+                    <thead>
+                        <tr style={{ color: 'var(--text-secondary)', textAlign: 'left' }}>
+                            <th style={cellStyle}>Nome</th>
+                            <th style={cellStyle}>Vista</th>
+                            <th style={cellStyle}>Sala</th>
+                            <th style={cellStyle}>IP</th>
+                            <th style={cellStyle}>Connesso</th>
+                            <th style={cellStyle}>Latenza</th>
+                            <th style={cellStyle}></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {devices.map(device => (
+                            <tr key={device.id}>
+                                <td style={{ ...cellStyle, whiteSpace: 'normal' }}>
+                                    <span
+                                        onClick={() => {
+                                            const name = window.prompt('Nome del dispositivo', device.name);
+                                            if (name !== null) onRename(device.id, name);
+                                        }}
+                                        title="Rinomina"
+                                        style={{ cursor: 'pointer', borderBottom: '1px dashed var(--border-color)' }}
+                                    >
+                                        {device.name || <span style={{ color: 'var(--text-secondary)' }}>Senza nome</span>}
+                                    </span>
+                                    {device.id === ownId && (
+                                        <span style={{ color: 'var(--accent-color)', fontSize: '0.7rem' }}> (questo)</span>
+                                    )}
+                                </td>
+                                <td style={cellStyle}>
+                                    {device.view}
+                                    {device.role !== 'director' && <span style={{ color: 'var(--text-secondary)' }}> · read-only</span>}
+                                </td>
+                                <td style={cellStyle}>{device.room}</td>
+                                <td style={cellStyle} className="text-mono">{device.ip}</td>
+                                <td style={cellStyle} className="text-mono">{formatClock(device.connectedAt)}</td>
+                                <td style={{ ...cellStyle, color: latencyColor(device.latencyMs) }} className="text-mono">
+                                    {device.latencyMs === null ? '—' : `${device.latencyMs} ms`}
+                                </td>
+                                <td style={{ ...cellStyle, display: 'flex', gap: '0.3rem', justifyContent: 'flex-end' }}>
+                                    <button className="btn-small" onClick={() => onIdentify(device.id)}>Identify</button>
+                                    {DIRECTOR_VIEWS.includes(device.view) && device.id !== ownId && (
+                                        <button className="btn-small" onClick={() => onForceSpeaker(device.id)}>Speaker</button>
+                                    )}
+                                    {device.id !== ownId && (
+                                        <button
+                                            className="btn-small"
+                                            style={{ color: 'var(--danger-color)' }}
+                                            onClick={() => {
+                                                if (window.confirm(`Disconnettere "${device.name || device.ip}"?`)) onDisconnect(device.id);
+                                            }}
+                                        >
+                                            Kick
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    </>
+);
+
+export default DevicesPanel;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+
+const DURATIONS = [
+    { value: 0, label: 'Fino a rimozione' },
+    { value: 15, label: '15 s' },
+    { value: 30, label: '30 s' },
+    { value: 60, label: '1 min' },
+    { value: 120, label: '2 min' }
+];
+
+const MessagePanel = ({ message, cannedMessages, onSend, onClear, onSaveCanned, onDeleteCanned }) => {
+    const [text, setText] = useState('');
+    const [flash, setFlash] = useState(false);
+    const [duration, setDuration] = useState(0);
+
+    const send = (value) => {
+        if (!value.trim()) return;
+        onSend({ text: value, flash, duration });
+        setText('');
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        send(text);
+    };
+
+    return (
+        <div className="card" style={{ padding: '1rem', textAlign: 'left', display: 'flex', flexDirection: 'column', gap: '0.6rem' }}>
+            <h3 style={{ fontSize: '0.9rem', color: 'var(--text-secondary)' }}>MESSAGE TO SPEAKER</h3>
+
+            {message && (
+                <div style={{
+                    background: 'rgba(56, 189, 248, 0.1)',
+                    border: '1px solid var(--accent-color)',
+                    borderRadius: '6px',
+                    padding: '0.5rem',
+                    fontSize: '0.8rem'
+                }}>
+                    <div style={{ fontWeight: 600, marginBottom: '0.3rem', wordBreak: 'break-word' }}>{message.text}</div>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <span style={{ color: message.seenCount > 0 ? 'var(--success-color)' : 'var(--text-secondary)' }}>
+                            {message.seenCount > 0 ? `✓ Visto (${message.seenCount})` : 'Non ancora visto'}
+                        </span>
+                        <button className="btn-small" onClick={onClear}>Rimuovi</button>
+                    </div>
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '0.4rem' }}>
+                <input
+                    className="input-small"
+                    style={{ flex: 1 }}
+                    placeholder="Scrivi un messaggio..."
+                    value={text}
+                    maxLength={200}
+                    onChange={(e) => setText(e.target.value)}
+                />
+                <button type="submit" className="btn-small" style={{ background: 'var(--accent-color)', color: '#0f172a' }}>Invia</button>
+            </form>
+
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', fontSize: '0.75rem' }}>
+                <label style={{ display: 'flex', gap: '0.3rem', alignItems: 'center', cursor: 'pointer' }}>
+                    <input type="checkbox" checked={flash} onChange={(e) => setFlash(e.target.checked)} />
+                    <span>Lampeggia</span>
+                </label>
+                <select className="input-small" style={{ flex: 1 }} value={duration} onChange={(e) => setDuration(Number(e.target.value))}>
+                    {DURATIONS.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+                </select>
+            </div>
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.3rem' }}>
+                {cannedMessages.map(canned => (
+                    <span key={canned} style={{ display: 'inline-flex', alignItems: 'center', background: 'rgba(255,255,255,0.08)', borderRadius: '4px' }}>
+                        <button className="btn-small" style={{ background: 'transparent' }} onClick={() => send(canned)}>
+                            {canned}
+                        </button>
+                        <button
+                            className="btn-small"
+                            style={{ background: 'transparent', color: 'var(--text-secondary)', padding: '0.3rem 0.4rem 0.3rem 0' }}
+                            onClick={() => onDeleteCanned(canned)}
+                            title="Elimina"
+                        >
+                            ×
+                        </button>
+                    </span>
+                ))}
+                {text.trim() && !cannedMessages.includes(text.trim()) && (
+                    <button className="btn-small" style={{ color: 'var(--text-secondary)' }} onClick={() => onSaveCanned(text)}>
+                        + Salva
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default MessagePanel;
@@ -0,0 +1,89 @@
+import React, { useEffect } from 'react';
+import { stageAt, useTimeLeft } from '../clock';
+import { formatDuration } from '../time';
+
+// Where the overlay sits in the browser source; `lower-third` is a full-width
+// bar with the session title on the left and the countdown on the right
+const POSITIONS = {
+    'top-left': { top: '4vh', left: '3vw' },
+    'top-right': { top: '4vh', right: '3vw' },
+    'bottom-left': { bottom: '4vh', left: '3vw' },
+    'bottom-right': { bottom: '4vh', right: '3vw' },
+    'center': { top: '50%', left: '50%', transform: 'translate(-50%, -50%)' },
+    'lower-third': { bottom: '8vh', left: 0, right: 0 }
+};
+
+// ?pos=bottom-right&size=10&font=Inter&title=1 (size in vh of the browser source)
+const readOverlayOptions = (params) => {
+    const size = Number(params.get('size'));
+    return {
+        position: POSITIONS[params.get('pos')] ? params.get('pos') : 'bottom-right',
+        size: Number.isFinite(size) && size > 0 ? Math.min(size, 100) : 10,
+        font: params.get('font') || null,
+        showTitle: ['1', 'true', 'yes'].includes(params.get('title'))
+    };
+};
+
+const OverlayView = ({ timer, session, params, offline = false }) => {
+    const options = readOverlayOptions(params);
+    const seconds = useTimeLeft(timer);
+    const isCritical = seconds <= 0 && timer.status !== 'IDLE';
+    const stage = offline ? stageAt(timer, seconds) : timer.stage;
+    const stageColor = stage >= 0 ? timer.thresholds?.[stage]?.color : null;
+    const isLowerThird = options.position === 'lower-third';
+    const title = options.showTitle && session
+        ? `${session.title || ''}${session.speaker ? ` — ${session.speaker}` : ''}`
+        : '';
+
+    // The stylesheet paints the page; a browser source must see through it
+    useEffect(() => {
+        const previous = document.body.style.background;
+        document.body.style.background = 'transparent';
+        return () => { document.body.style.background = previous; };
+    }, []);
+
+    return (
+        <div style={{
+            position: 'fixed',
+            ...POSITIONS[options.position],
+            display: 'flex',
+            alignItems: isLowerThird ? 'center' : 'flex-end',
+            flexDirection: isLowerThird ? 'row' : 'column',
+            justifyContent: 'space-between',
+            gap: '0 3vw',
+            padding: isLowerThird ? '1.5vh 4vw' : 0,
+            background: isLowerThird ? 'rgba(0, 0, 0, 0.65)' : 'transparent',
+            fontFamily: options.font || undefined,
+            color: '#fff',
+            textShadow: '0 0 0.3em rgba(0, 0, 0, 0.8)',
+            pointerEvents: 'none'
+        }}>
+            {title && (
+                <div style={{
+                    fontSize: `${options.size * 0.35}vh`,
+                    fontWeight: 600,
+                    whiteSpace: 'nowrap',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    minWidth: 0
+                }}>
+                    {title}
+                </div>
+            )}
+            <div
+                className={`${options.font ? '' : 'text-mono'} ${isCritical ? 'blink-red' : ''}`}
+                style={{
+                    fontSize: `${options.size}vh`,
+                    fontWeight: 700,
+                    lineHeight: 1,
+                    fontVariantNumeric: 'tabular-nums',
+                    color: stageColor || '#fff'
+                }}
+            >
+                {seconds < 0 ? '-' : ''}{formatDuration(Math.abs(seconds))}
+            </div>
+        </div>
+    );
+};
+
+export default OverlayView;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { formatDuration, parseDuration } from '../time';
+
+const STORAGE_KEY = 'sunstop-phases';
+
+const DEFAULT_PLAN = {
+    phases: [
+        { label: 'Talk', duration: '25:00', overtimeMode: 'COUNT_UP', auto: false },
+        { label: 'Q&A', duration: '05:00', overtimeMode: 'COUNT_UP', auto: false },
+        { label: 'Changeover', duration: '02:00', overtimeMode: 'STOP', auto: false }
+    ],
+    carryOverrun: true
+};
+
+// The plan being edited stays on this device; the server only gets it when loaded
+const loadPlan = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || DEFAULT_PLAN;
+    } catch {
+        return DEFAULT_PLAN;
+    }
+};
+
+const MAX_PHASES = 8;
+
+const PhaseSettings = ({ phases, onLoad }) => {
+    const [plan, setPlan] = useState(loadPlan);
+
+    const update = (next) => {
+        setPlan(next);
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    };
+
+    const updatePhase = (index, changes) => update({
+        ...plan,
+        phases: plan.phases.map((phase, i) => (i === index ? { ...phase, ...changes } : phase))
+    });
+
+    const parsed = plan.phases.map(phase => ({ ...phase, duration: parseDuration(phase.duration) }));
+    const isValid = parsed.length > 0 && parsed.every(phase => Number.isFinite(phase.duration) && phase.duration > 0);
+    const total = isValid ? parsed.reduce((sum, phase) => sum + phase.duration, 0) : null;
+
+    return (
+        <div>
+            <h3 style={{ marginBottom: '0.5rem', fontSize: '0.9rem', color: 'var(--text-secondary)' }}>PHASES</h3>
+
+            {phases && (
+                <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: '0.5rem' }}>
+                    In corso: {phases.list.map((phase, index) => (
+                        <span key={index} style={{ color: index === phases.index ? 'var(--accent-color)' : undefined }}>
+                            {index > 0 ? ' → ' : ''}{phase.label}
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            <div className="flex-col" style={{ gap: '0.3rem', marginBottom: '0.5rem' }}>
+                {plan.phases.map((phase, index) => (
+                    <div key={index} style={{ display: 'flex', gap: '0.3rem', alignItems: 'center' }}>
+                        <input
+                            className="input-small"
+                            style={{ flex: 1 }}
+                            placeholder="Nome"
+                            value={phase.label}
+                            onChange={(e) => updatePhase(index, { label: e.target.value })}
+                        />
+                        <input
+                            className="input-small"
+                            style={{ width: '4.5rem' }}
+                            placeholder="MM:SS"
+                            value={phase.duration}
+                            onChange={(e) => updatePhase(index, { duration: e.target.value })}
+                        />
+                        <select
+                            className="input-small"
+                            value={phase.overtimeMode}
+                            onChange={(e) => updatePhase(index, { overtimeMode: e.target.value })}
+                            title="Overtime"
+                        >
+                            <option value="COUNT_UP">Count Up</option>
+                            <option value="STOP">Stop</option>
+                        </select>
+                        <label title="Passa da sola alla fase successiva a 00:00" style={{ display: 'flex', gap: '0.2rem', alignItems: 'center', fontSize: '0.7rem', cursor: 'pointer' }}>
+                            <input
+                                type="checkbox"
+                                checked={phase.auto}
+                                onChange={(e) => updatePhase(index, { auto: e.target.checked })}
+                            />
+                            Auto
+                        </label>
+                        <button
+                            type="button"
+                            className="btn-small"
+                            style={{ background: 'transparent', color: 'var(--text-secondary)' }}
+                            onClick={() => update({ ...plan, phases: plan.phases.filter((_, i) => i !== index) })}
+                            title="Rimuovi"
+                        >
+                            ×
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            <div style={{ display: 'flex', gap: '0.4rem', alignItems: 'center', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+                <button
+                    type="button"
+                    className="btn-small"
+                    disabled={plan.phases.length >= MAX_PHASES}
+                    onClick={() => update({ ...plan, phases: [...plan.phases, { label: '', duration: '', overtimeMode: 'COUNT_UP', auto: false }] })}
+                >
+                    + Fase
+                </button>
+                <label style={{ display: 'flex', gap: '0.4rem', alignItems: 'center', fontSize: '0.75rem', cursor: 'pointer' }}>
+                    <input
+                        type="checkbox"
+                        checked={plan.carryOverrun}
+                        onChange={(e) => update({ ...plan, carryOverrun: e.target.checked })}
+                    />
+                    <span>Sottrai lo sforamento alla fase dopo</span>
+                </label>
+            </div>
+
+            <div style={{ display: 'flex', gap: '0.4rem', alignItems: 'center', justifyContent: 'flex-end' }}>
+                {total !== null && (
+                    <span className="text-mono" style={{ fontSize: '0.7rem', color: 'var(--text-secondary)', marginRight: 'auto' }}>
+                        Totale {formatDuration(total)}
+                    </span>
+                )}
+                <button type="button" className="btn-small" disabled={!isValid} onClick={() => onLoad(parsed, plan.carryOverrun, false)}>
+                    Set
+                </button>
+                <button type="button" className="btn-small" disabled={!isValid} onClick={() => onLoad(parsed, plan.carryOverrun, true)}>
+                    Set & Start
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default PhaseSettings;
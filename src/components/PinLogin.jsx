@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+
+const PinLogin = ({ onSubmit, failed }) => {
+    const [pin, setPin] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (pin.length === 0) return;
+        onSubmit(pin);
+        setPin('');
+    };
+
+    return (
+        <div className="flex-center" style={{ flex: 1 }}>
+            <form className="card" onSubmit={handleSubmit} style={{ textAlign: 'center', minWidth: '300px' }}>
+                <img
+                    src="/logo192.png"
+                    alt="Sun Stop Timer"
+                    style={{ width: '48px', height: '48px', borderRadius: '8px', marginBottom: '1rem' }}
+                />
+                <h3 style={{ marginBottom: '0.5rem' }}>Accesso Regia</h3>
+                <p style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', marginBottom: '1.5rem' }}>
+                    Inserisci il PIN mostrato nella console del server
+                </p>
+                <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    autoFocus
+                    value={pin}
+                    onChange={(e) => setPin(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                    className="text-mono"
+                    style={{
+                        width: '100%',
+                        boxSizing: 'border-box',
+                        fontSize: '2rem',
+                        textAlign: 'center',
+                        letterSpacing: '0.5rem',
+                        padding: '0.5rem',
+                        background: 'var(--bg-primary)',
+                        color: 'var(--text-primary)',
+                        border: `1px solid ${failed ? 'var(--danger-color)' : 'var(--border-color)'}`,
+                        borderRadius: 'var(--radius-sm)',
+                        marginBottom: '0.5rem'
+                    }}
+                />
+                <div style={{ minHeight: '1.2rem', fontSize: '0.8rem', color: 'var(--danger-color)', marginBottom: '1rem' }}>
+                    {failed && 'PIN errato o troppi tentativi'}
+                </div>
+                <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
+                    Entra
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default PinLogin;
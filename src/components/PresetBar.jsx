@@ -0,0 +1,27 @@
+import React from 'react';
+import { formatDuration } from '../time';
+
+// One-click presets under the controls; F1-F12 follow the same order
+const PresetBar = ({ presets, onApply }) => {
+    if (presets.length === 0) return null;
+
+    return (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', justifyContent: 'center', maxWidth: '640px' }}>
+            {presets.map((preset, index) => (
+                <button
+                    key={preset.id}
+                    className="btn"
+                    onClick={(e) => onApply(preset.id, e.shiftKey)}
+                    title={`F${index + 1} imposta, Shift+F${index + 1} imposta e avvia`}
+                    style={{ padding: '0.4rem 0.8rem', fontSize: '0.85rem', display: 'flex', gap: '0.5rem', alignItems: 'baseline' }}
+                >
+                    <kbd style={{ fontSize: '0.65rem', color: 'var(--text-secondary)' }}>F{index + 1}</kbd>
+                    <span>{preset.name}</span>
+                    <span className="text-mono" style={{ color: 'var(--text-secondary)' }}>{formatDuration(preset.duration)}</span>
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default PresetBar;
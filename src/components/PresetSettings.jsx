@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { formatDuration, parseDuration } from '../time';
+
+const EMPTY_DRAFT = { id: null, name: '', duration: '', overtimeMode: '', withThresholds: false };
+
+// Add/edit/delete/reorder; a preset can carry the room's current thresholds
+const PresetSettings = ({ presets, currentThresholds, onSave, onDelete, onMove }) => {
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+
+    const edit = (preset) => setDraft({
+        id: preset.id,
+        name: preset.name,
+        duration: formatDuration(preset.duration),
+        overtimeMode: preset.overtimeMode || '',
+        withThresholds: !!preset.thresholds
+    });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const duration = parseDuration(draft.duration);
+        if (!draft.name.trim() || !Number.isFinite(duration) || duration <= 0) return;
+        const existing = presets.find(p => p.id === draft.id);
+        onSave({
+            id: draft.id,
+            name: draft.name,
+            duration,
+            overtimeMode: draft.overtimeMode || null,
+            // Editing keeps the preset's own thresholds; ticking the box on a new one captures the room's
+            thresholds: draft.withThresholds ? (existing?.thresholds || currentThresholds) : null
+        });
+        setDraft(EMPTY_DRAFT);
+    };
+
+    return (
+        <div>
+            <h3 style={{ marginBottom: '0.5rem', fontSize: '0.9rem', color: 'var(--text-secondary)' }}>PRESETS</h3>
+
+            <div className="flex-col" style={{ gap: '0.3rem', marginBottom: '0.75rem' }}>
+                {presets.map((preset, index) => (
+                    <div key={preset.id} style={{ display: 'flex', gap: '0.3rem', alignItems: 'center', fontSize: '0.8rem' }}>
+                        <span style={{ width: '1.8rem', fontSize: '0.65rem', color: 'var(--text-secondary)' }}>F{index + 1}</span>
+                        <span
+                            onClick={() => edit(preset)}
+                            title="Modifica"
+                            style={{ flex: 1, cursor: 'pointer', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}
+                        >
+                            {preset.name}
+                        </span>
+                        <span className="text-mono" style={{ fontSize: '0.7rem', color: 'var(--text-secondary)' }}>
+                            {formatDuration(preset.duration)}
+                        </span>
+                        <button type="button" className="btn-small" onClick={() => onMove(preset.id, -1)} disabled={index === 0}>↑</button>
+                        <button type="button" className="btn-small" onClick={() => onMove(preset.id, 1)} disabled={index === presets.length - 1}>↓</button>
+                        <button
+                            type="button"
+                            className="btn-small"
+                            style={{ background: 'transparent', color: 'var(--text-secondary)' }}
+                            onClick={() => onDelete(preset.id)}
+                            title="Rimuovi"
+                        >
+                            ×
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            <form onSubmit={handleSubmit} className="flex-col" style={{ gap: '0.4rem' }}>
+                <div style={{ display: 'flex', gap: '0.4rem' }}>
+                    <input
+                        className="input-small"
+                        style={{ flex: 1 }}
+                        placeholder="Nome"
+                        value={draft.name}
+                        onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                    />
+                    <input
+                        className="input-small"
+                        style={{ width: '4.5rem' }}
+                        placeholder="MM:SS"
+                        value={draft.duration}
+                        onChange={(e) => setDraft({ ...draft, duration: e.target.value })}
+                    />
+                </div>
+                <select
+                    className="input-small"
+                    value={draft.overtimeMode}
+                    onChange={(e) => setDraft({ ...draft, overtimeMode: e.target.value })}
+                >
+                    <option value="">Overtime: invariato</option>
+                    <option value="COUNT_UP">Count Up</option>
+                    <option value="STOP">Stop at 00:00</option>
+                </select>
+                <label style={{ display: 'flex', gap: '0.4rem', alignItems: 'center', fontSize: '0.75rem', cursor: 'pointer' }}>
+                    <input
+                        type="checkbox"
+                        checked={draft.withThresholds}
+                        onChange={(e) => setDraft({ ...draft, withThresholds: e.target.checked })}
+                    />
+                    <span>{draft.id && presets.find(p => p.id === draft.id)?.thresholds ? 'Mantieni le sue soglie' : 'Includi le soglie attuali'}</span>
+                </label>
+                <div style={{ display: 'flex', gap: '0.4rem', justifyContent: 'flex-end' }}>
+                    {draft.id && (
+                        <button type="button" className="btn-small" style={{ background: 'transparent' }} onClick={() => setDraft(EMPTY_DRAFT)}>
+                            Annulla
+                        </button>
+                    )}
+                    <button type="submit" className="btn-small" disabled={!draft.id && presets.length >= 12}>
+                        {draft.id ? 'Save' : 'Add'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default PresetSettings;
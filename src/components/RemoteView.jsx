@@ -0,0 +1,124 @@
+import React from 'react';
+import TimerDisplay from './TimerDisplay';
+import Controls from './Controls';
+
+const KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'T', '0', 'DEL'];
+
+const keyStyle = {
+    padding: '1rem 0',
+    fontSize: '1.6rem',
+    fontWeight: 600,
+    fontFamily: 'monospace',
+    touchAction: 'manipulation'
+};
+
+// Director layout for phones and tablets: the keypad feeds the same input
+// buffer as the keyboard shortcuts
+const RemoteView = ({
+    timer,
+    roomId,
+    session,
+    connected,
+    inputText,
+    inputMode,
+    isEditing,
+    canConfirm,
+    onDigit,
+    onDelete,
+    onToggleTarget,
+    onCancel,
+    onConfirm,
+    onExit,
+    controls
+}) => (
+    <div className="flex-col fill-height" style={{ padding: '1rem', gap: '1rem', boxSizing: 'border-box', overflowY: 'auto' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.85rem' }}>
+            <span style={{ color: connected ? 'var(--text-secondary)' : 'var(--danger-color)' }}>
+                {connected ? `ROOM ${roomId}` : 'Connessione persa...'}
+            </span>
+            <button className="btn btn-text" onClick={onExit} style={{ fontSize: '0.8rem', padding: '0.3rem 0.6rem' }}>
+                Vista completa
+            </button>
+        </div>
+
+        {session && (
+            <div style={{ textAlign: 'center', fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
+                {session.title}{session.speaker ? ` — ${session.speaker}` : ''}
+            </div>
+        )}
+
+        <TimerDisplay timer={timer} viewMode="REMOTE" offline={!connected} />
+
+        {/* Draft: what Set & Wait / Set & Start will send */}
+        <div className="card" style={{ padding: '0.75rem', textAlign: 'center' }}>
+            <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', textTransform: 'uppercase' }}>
+                {inputMode === 'TARGET' ? 'Count down until (HH:MM)' : 'New Timer'}
+            </div>
+            <div className="text-mono" style={{
+                fontSize: '2.5rem',
+                fontWeight: 700,
+                color: canConfirm || !isEditing ? 'var(--text-primary)' : 'var(--danger-color)',
+                opacity: isEditing ? 1 : 0.3
+            }}>
+                {inputText}
+            </div>
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '0.5rem' }}>
+            {KEYS.map(key => {
+                if (key === 'T') {
+                    return (
+                        <button
+                            key={key}
+                            className={`btn ${inputMode === 'TARGET' ? 'btn-primary' : ''}`}
+                            onClick={onToggleTarget}
+                            style={{ ...keyStyle, fontSize: '1rem' }}
+                        >
+                            HH:MM
+                        </button>
+                    );
+                }
+                if (key === 'DEL') {
+                    return (
+                        <button key={key} className="btn" onClick={onDelete} style={keyStyle} title="Cancella">
+                            ←
+                        </button>
+                    );
+                }
+                return (
+                    <button key={key} className="btn" onClick={() => onDigit(key)} style={keyStyle}>
+                        {key}
+                    </button>
+                );
+            })}
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+            <button
+                className="btn"
+                onClick={() => onConfirm(false)}
+                disabled={!isEditing || !canConfirm}
+                style={{ padding: '1rem 0', fontSize: '1.1rem', opacity: isEditing && canConfirm ? 1 : 0.5 }}
+            >
+                Set & Wait
+            </button>
+            <button
+                className="btn btn-primary"
+                onClick={() => onConfirm(true)}
+                disabled={!isEditing || !canConfirm}
+                style={{ padding: '1rem 0', fontSize: '1.1rem', opacity: isEditing && canConfirm ? 1 : 0.5 }}
+            >
+                Set & Start
+            </button>
+        </div>
+        {isEditing && (
+            <button className="btn btn-text" onClick={onCancel} style={{ fontSize: '0.85rem' }}>
+                Annulla
+            </button>
+        )}
+
+        <Controls {...controls} large />
+    </div>
+);
+
+export default RemoteView;
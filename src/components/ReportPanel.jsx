@@ -0,0 +1,111 @@
+import React from 'react';
+import { formatDuration } from '../time';
+
+const cellStyle = {
+    padding: '0.35rem 0.5rem',
+    borderBottom: '1px solid var(--border-color)',
+    whiteSpace: 'nowrap'
+};
+
+const linkStyle = {
+    background: 'rgba(255,255,255,0.1)',
+    color: 'var(--text-primary)',
+    borderRadius: '4px',
+    padding: '0.3rem 0.6rem',
+    fontSize: '0.75rem',
+    textDecoration: 'none'
+};
+
+const formatClock = (epoch) =>
+    new Date(epoch).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const ReportPanel = ({ history, csvUrl, jsonUrl, onClear, onClose }) => {
+    const runs = history.slice().reverse();
+
+    return (
+        <>
+            <div
+                style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, background: 'rgba(0,0,0,0.6)', zIndex: 199 }}
+                onClick={onClose}
+            />
+            <div className="card" style={{
+                position: 'fixed',
+                top: '80px',
+                left: '50%',
+                transform: 'translateX(-50%)',
+                width: 'min(900px, calc(100vw - 4rem))',
+                maxHeight: 'calc(100vh - 120px)',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '0.75rem',
+                zIndex: 200,
+                padding: '1rem',
+                textAlign: 'left'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h3 style={{ fontSize: '0.9rem', color: 'var(--text-secondary)' }}>SESSION REPORT</h3>
+                    <div style={{ display: 'flex', gap: '0.4rem', alignItems: 'center' }}>
+                        <a href={csvUrl} style={linkStyle}>CSV</a>
+                        <a href={jsonUrl} style={linkStyle}>JSON</a>
+                        <button className="btn btn-text" onClick={onClose} style={{ fontSize: '0.8rem', padding: '0.3rem 0.6rem' }}>×</button>
+                    </div>
+                </div>
+
+                <div style={{ overflow: 'auto', flex: 1 }}>
+                    {runs.length === 0 ? (
+                        <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>Nessuna sessione registrata</div>
+                    ) : (
+                        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+                            <thead>
+                                <tr style={{ color: 'var(--text-secondary)', textAlign: 'left' }}>
+                                    <th style={cellStyle}>Sala</th>
+                                    <th style={cellStyle}>Sessione</th>
+                                    <th style={cellStyle}>Inizio</th>
+                                    <th style={cellStyle}>Previsto</th>
+                                    <th style={cellStyle}>Effettivo</th>
+                                    <th style={cellStyle}>Sforamento</th>
+                                    <th style={cellStyle}>Pause</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {runs.map(run => (
+                                    <tr key={run.id}>
+                                        <td style={cellStyle}>{run.room}</td>
+                                        <td style={{ ...cellStyle, whiteSpace: 'normal' }}>
+                                            {run.title || '—'}
+                                            {run.speaker && <span style={{ color: 'var(--text-secondary)' }}> — {run.speaker}</span>}
+                                        </td>
+                                        <td style={cellStyle} className="text-mono">{formatClock(run.startedAt)}</td>
+                                        <td style={cellStyle} className="text-mono">
+                                            {formatDuration(run.plannedSeconds)}
+                                            {run.adjustedSeconds !== 0 && (
+                                                <span style={{ color: 'var(--text-secondary)' }}> {run.adjustedSeconds > 0 ? '+' : '−'}{formatDuration(Math.abs(run.adjustedSeconds))}</span>
+                                            )}
+                                        </td>
+                                        <td style={cellStyle} className="text-mono">{formatDuration(run.actualSeconds)}</td>
+                                        <td style={{ ...cellStyle, color: run.overtimeSeconds > 0 ? 'var(--danger-color)' : undefined }} className="text-mono">
+                                            {run.overtimeSeconds > 0 ? `+${formatDuration(run.overtimeSeconds)}` : '—'}
+                                        </td>
+                                        <td style={cellStyle}>{run.events.filter(e => e.type === 'pause').length}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+
+                {runs.length > 0 && (
+                    <button
+                        className="btn btn-text"
+                        onClick={() => { if (window.confirm('Cancellare lo storico delle sessioni?')) onClear(); }}
+                        style={{ fontSize: '0.75rem', alignSelf: 'flex-end', color: 'var(--text-secondary)' }}
+                    >
+                        Svuota report
+                    </button>
+                )}
+            </div>
+        </>
+    );
+};
+
+export default ReportPanel;
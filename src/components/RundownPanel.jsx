@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { formatDuration, parseDuration } from '../time';
+
+const RundownPanel = ({ rundown, onAdd, onRemove, onClear, onJump, onNext, onPrevious, onAutoAdvanceChange }) => {
+    const [title, setTitle] = useState('');
+    const [speaker, setSpeaker] = useState('');
+    const [duration, setDuration] = useState('');
+    const [overtimeMode, setOvertimeMode] = useState('COUNT_UP');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const seconds = parseDuration(duration);
+        if (!Number.isFinite(seconds) || seconds <= 0) return;
+        onAdd({ title, speaker, duration: seconds, overtimeMode });
+        setTitle('');
+        setSpeaker('');
+        setDuration('');
+    };
+
+    const { items, currentIndex, autoAdvance } = rundown;
+
+    return (
+        <div className="card" style={{
+            padding: '1rem',
+            textAlign: 'left',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '0.75rem',
+            maxHeight: '100%',
+            overflow: 'hidden'
+        }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <h3 style={{ fontSize: '0.9rem', color: 'var(--text-secondary)' }}>RUNDOWN</h3>
+                <div style={{ display: 'flex', gap: '0.4rem' }}>
+                    <button className="btn-small" onClick={onPrevious} disabled={currentIndex <= 0}>Prev</button>
+                    <button className="btn-small" onClick={onNext} disabled={currentIndex >= items.length - 1}>Next</button>
+                </div>
+            </div>
+
+            <label style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', fontSize: '0.8rem', cursor: 'pointer' }}>
+                <input
+                    type="checkbox"
+                    checked={autoAdvance}
+                    onChange={(e) => onAutoAdvanceChange(e.target.checked)}
+                />
+                <span>Auto-advance a fine slot</span>
+            </label>
+
+            <ol style={{ listStyle: 'none', margin: 0, padding: 0, overflowY: 'auto', flex: 1, display: 'flex', flexDirection: 'column', gap: '0.3rem' }}>
+                {items.length === 0 && (
+                    <li style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>Nessuna sessione in scaletta</li>
+                )}
+                {items.map((item, index) => {
+                    const isCurrent = index === currentIndex;
+                    const isPast = currentIndex >= 0 && index < currentIndex;
+                    return (
+                        <li
+                            key={item.id}
+                            onClick={() => onJump(index)}
+                            style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                gap: '0.5rem',
+                                padding: '0.4rem 0.5rem',
+                                borderRadius: '6px',
+                                cursor: 'pointer',
+                                background: isCurrent ? 'rgba(56, 189, 248, 0.15)' : 'transparent',
+                                border: isCurrent ? '1px solid var(--accent-color)' : '1px solid transparent',
+                                opacity: isPast ? 0.5 : 1
+                            }}
+                        >
+                            <span style={{ fontSize: '0.7rem', color: 'var(--text-secondary)', width: '1.2rem' }}>{index + 1}</span>
+                            <div style={{ flex: 1, minWidth: 0 }}>
+                                <div style={{ fontSize: '0.85rem', fontWeight: 600, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                                    {item.title || 'Senza titolo'}
+                                </div>
+                                {item.speaker && (
+                                    <div style={{ fontSize: '0.7rem', color: 'var(--text-secondary)' }}>{item.speaker}</div>
+                                )}
+                            </div>
+                            <span className="text-mono" style={{ fontSize: '0.75rem' }}>{formatDuration(item.duration)}</span>
+                            {item.overtimeMode === 'STOP' && (
+                                <span title="Stop at 00:00" style={{ fontSize: '0.65rem', color: 'var(--warning-color)' }}>STOP</span>
+                            )}
+                            <button
+                                onClick={(e) => { e.stopPropagation(); onRemove(item.id); }}
+                                className="btn-small"
+                                style={{ background: 'transparent', color: 'var(--text-secondary)', padding: '0 0.3rem' }}
+                                title="Rimuovi"
+                            >
+                                ×
+                            </button>
+                        </li>
+                    );
+                })}
+            </ol>
+
+            <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '0.4rem', borderTop: '1px solid var(--border-color)', paddingTop: '0.75rem' }}>
+                <input className="input-small" placeholder="Titolo" value={title} onChange={(e) => setTitle(e.target.value)} />
+                <input className="input-small" placeholder="Relatore" value={speaker} onChange={(e) => setSpeaker(e.target.value)} />
+                <div style={{ display: 'flex', gap: '0.4rem' }}>
+                    <input className="input-small" style={{ width: '5rem' }} placeholder="[H:]MM:SS" value={duration} onChange={(e) => setDuration(e.target.value)} />
+                    <select className="input-small" style={{ flex: 1 }} value={overtimeMode} onChange={(e) => setOvertimeMode(e.target.value)}>
+                        <option value="COUNT_UP">Count Up</option>
+                        <option value="STOP">Stop at 00:00</option>
+                    </select>
+                    <button type="submit" className="btn-small">Add</button>
+                </div>
+                {items.length > 0 && (
+                    <button
+                        type="button"
+                        onClick={() => { if (window.confirm('Svuotare la scaletta?')) onClear(); }}
+                        className="btn-small"
+                        style={{ background: 'transparent', color: 'var(--text-secondary)', alignSelf: 'flex-end' }}
+                    >
+                        Svuota scaletta
+                    </button>
+                )}
+            </form>
+        </div>
+    );
+};
+
+export default RundownPanel;
@@ -0,0 +1,89 @@
+import React, { useMemo, useState } from 'react';
+import { useTimeLeft } from '../clock';
+import { formatDuration, parseDuration } from '../time';
+
+const formatClock = (epoch) =>
+    new Date(epoch).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+// Counts down to the armed start like a running timer that ends at `at`
+const ArmedStatus = ({ scheduled, onCancel }) => {
+    const countdown = useMemo(
+        () => ({ status: 'RUNNING', endsAt: scheduled.at, overtimeMode: 'STOP' }),
+        [scheduled.at]
+    );
+    const seconds = useTimeLeft(countdown);
+
+    return (
+        <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', fontSize: '0.85rem' }}>
+            <span style={{ color: 'var(--warning-color)', fontWeight: 600 }}>ARMED</span>
+            <span>
+                <span className="text-mono">{formatDuration(scheduled.seconds)}</span> alle{' '}
+                <span className="text-mono">{formatClock(scheduled.at)}</span>
+            </span>
+            <span className="text-mono" style={{ color: 'var(--text-secondary)' }}>-{formatDuration(seconds)}</span>
+            <button className="btn btn-text" onClick={onCancel} style={{ fontSize: '0.8rem', padding: '0.2rem 0.5rem' }}>
+                Annulla
+            </button>
+        </div>
+    );
+};
+
+// The server was down at the armed time and did not start the timer that late
+const MissedNotice = ({ missed, onDismiss }) => (
+    <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', fontSize: '0.85rem' }}>
+        <span style={{ color: 'var(--danger-color)', fontWeight: 600 }}>MISSED</span>
+        <span>
+            Partenza di <span className="text-mono">{formatDuration(missed.seconds)}</span> alle{' '}
+            <span className="text-mono">{formatClock(missed.at)}</span> non eseguita (server spento)
+        </span>
+        <button className="btn btn-text" onClick={onDismiss} style={{ fontSize: '0.8rem', padding: '0.2rem 0.5rem' }}>
+            OK
+        </button>
+    </div>
+);
+
+// Arms a Set & Start at a time of day; the server fires it even if nobody is watching
+const ScheduleStart = ({ scheduled, missed, onSchedule, onCancel, onDismissMissed }) => {
+    const [time, setTime] = useState('');
+    const [duration, setDuration] = useState('');
+
+    if (scheduled) return <ArmedStatus scheduled={scheduled} onCancel={onCancel} />;
+    if (missed) return <MissedNotice missed={missed} onDismiss={onDismissMissed} />;
+
+    const seconds = parseDuration(duration);
+    const isValid = /^\d{1,2}:\d{2}(:\d{2})?$/.test(time) && Number.isFinite(seconds) && seconds > 0;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!isValid) return;
+        onSchedule(time, seconds);
+        setTime('');
+        setDuration('');
+    };
+
+    return (
+        <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '0.4rem', alignItems: 'center', fontSize: '0.8rem' }}>
+            <span style={{ color: 'var(--text-secondary)' }}>Avvia</span>
+            <input
+                className="input-small"
+                style={{ width: '4.5rem' }}
+                placeholder="MM:SS"
+                value={duration}
+                onChange={(e) => setDuration(e.target.value)}
+            />
+            <span style={{ color: 'var(--text-secondary)' }}>alle</span>
+            <input
+                type="time"
+                step="1"
+                className="input-small"
+                value={time}
+                onChange={(e) => setTime(e.target.value)}
+            />
+            <button type="submit" className="btn" disabled={!isValid} style={{ fontSize: '0.8rem', padding: '0.3rem 0.6rem', opacity: isValid ? 1 : 0.5 }}>
+                Arm
+            </button>
+        </form>
+    );
+};
+
+export default ScheduleStart;
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { formatDuration, parseDuration } from '../time';
+
+const MAX_STAGES = 5;
+
+// Edits a local draft; nothing reaches the server until "Apply".
+// The parent remounts this (via key) whenever the server's list changes.
+const ThresholdSettings = ({ thresholds, onApply }) => {
+    const [draft, setDraft] = useState(() => thresholds.map(t => ({ time: formatDuration(t.at), color: t.color })));
+
+    const update = (index, field, value) => {
+        setDraft(prev => prev.map((stage, i) => (i === index ? { ...stage, [field]: value } : stage)));
+    };
+
+    const parsed = draft.map(stage => ({ at: parseDuration(stage.time), color: stage.color }));
+    const isValid = parsed.every(stage => Number.isFinite(stage.at) && stage.at > 0);
+
+    return (
+        <div>
+            <h3 style={{ marginBottom: '0.5rem', fontSize: '0.9rem', color: 'var(--text-secondary)' }}>WARNING STAGES</h3>
+            <div className="flex-col" style={{ gap: '0.4rem' }}>
+                {draft.map((stage, index) => (
+                    <div key={index} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                        <input
+                            className="input-small text-mono"
+                            style={{ width: '4.5rem' }}
+                            value={stage.time}
+                            placeholder="MM:SS"
+                            onChange={(e) => update(index, 'time', e.target.value)}
+                        />
+                        <input
+                            type="color"
+                            value={stage.color}
+                            onChange={(e) => update(index, 'color', e.target.value)}
+                            style={{ width: '2rem', height: '1.6rem', padding: 0, border: 'none', background: 'transparent', cursor: 'pointer' }}
+                        />
+                        <span style={{ flex: 1, fontSize: '0.75rem', color: 'var(--text-secondary)' }}>rimanenti</span>
+                        <button
+                            onClick={() => setDraft(prev => prev.filter((_, i) => i !== index))}
+                            className="btn-small"
+                            style={{ background: 'transparent', color: 'var(--text-secondary)' }}
+                            title="Rimuovi"
+                        >
+                            ×
+                        </button>
+                    </div>
+                ))}
+                <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'space-between' }}>
+                    <button
+                        className="btn-small"
+                        disabled={draft.length >= MAX_STAGES}
+                        onClick={() => setDraft(prev => [...prev, { time: '00:30', color: '#ef4444' }])}
+                    >
+                        + Stage
+                    </button>
+                    <button
+                        className="btn-small"
+                        style={{ background: 'var(--accent-color)', color: '#0f172a', opacity: isValid ? 1 : 0.5 }}
+                        disabled={!isValid}
+                        onClick={() => onApply(parsed)}
+                    >
+                        Apply
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ThresholdSettings;
@@ -1,44 +1,84 @@
 import React from 'react';
+import { stageAt, useTimeLeft } from '../clock';
+import { formatDuration } from '../time';
 
-const TimerDisplay = ({ seconds, status, viewMode }) => {
+// Widest string that still fits at the base font size ("-00:00")
+const FIT_CHARS = 6;
 
-    const formatTime = (totalSeconds) => {
-        const isNegative = totalSeconds < 0;
-        const absSeconds = Math.abs(totalSeconds);
-        const m = Math.floor(absSeconds / 60);
-        const s = absSeconds % 60;
+const TimerDisplay = ({ timer, viewMode, offline = false }) => {
+    // Rendered locally from the server's endsAt, not from per-second pushes
+    const seconds = useTimeLeft(timer);
+    const { status } = timer;
 
-        const mm = String(m).padStart(2, '0');
-        const ss = String(s).padStart(2, '0');
-
-        return `${isNegative ? '-' : ''}${mm}:${ss}`;
-    };
+    const formatTime = (totalSeconds) =>
+        `${totalSeconds < 0 ? '-' : ''}${formatDuration(Math.abs(totalSeconds))}`;
 
     // Critical state: Time is 0 OR Negative (in overrun)
     const isCritical = seconds <= 0 && status !== 'IDLE';
     const isBlinking = isCritical;
     const isSpeaker = viewMode === 'SPEAKER';
 
+    // Monospace digits: shrink in proportion once H:MM:SS makes the string wider
+    const text = formatTime(seconds);
+    const fontScale = Math.min(1, FIT_CHARS / text.length);
+
+    const targetLabel = timer.targetAt
+        ? new Date(timer.targetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : null;
+
+    const phase = timer.phases ? timer.phases.list[timer.phases.index] : null;
+
+    // Warning stage colour comes from the server so every screen changes together;
+    // offline, the last one received would never move on
+    const stage = offline ? stageAt(timer, seconds) : timer.stage;
+    const stageColor = stage >= 0 ? timer.thresholds?.[stage]?.color : null;
+
     return (
         <div className="timer-display" style={{
             textAlign: 'center',
             width: '100%',
             height: isSpeaker ? '100vh' : 'auto',
             display: 'flex',
+            flexDirection: 'column',
             alignItems: 'center',
             justifyContent: 'center'
         }}>
+            {phase && (
+                <div style={{
+                    fontSize: isSpeaker ? '4vw' : '1.5vw',
+                    fontWeight: 600,
+                    color: 'var(--text-secondary)',
+                    textTransform: 'uppercase',
+                    marginBottom: '1vw'
+                }}>
+                    {phase.label}
+                    {!isSpeaker && (
+                        <span className="text-mono" style={{ fontSize: '0.7em', marginLeft: '0.75em' }}>
+                            {timer.phases.index + 1}/{timer.phases.list.length}
+                        </span>
+                    )}
+                </div>
+            )}
             <h1 className={`text-mono ${isBlinking ? 'blink-red' : ''}`} style={{
-                fontSize: isSpeaker ? '25vw' : '15vw', // Reduced to 25vw to fit 00:00 without clipping
+                fontSize: `${(isSpeaker ? 25 : 15) * fontScale}vw`, // Reduced to 25vw to fit 00:00 without clipping
                 fontWeight: 700,
                 lineHeight: 1,
                 fontVariantNumeric: 'tabular-nums',
-                color: 'var(--text-primary)',
+                color: stageColor || 'var(--text-primary)',
                 textShadow: '0 0 40px rgba(56, 189, 248, 0.1)',
                 transition: 'all 0.5s ease'
             }}>
-                {formatTime(seconds)}
+                {text}
             </h1>
+            {targetLabel && (
+                <div className="text-mono" style={{
+                    fontSize: isSpeaker ? '3vw' : '1.5vw',
+                    color: 'var(--text-secondary)',
+                    marginTop: '1vw'
+                }}>
+                    → {targetLabel}
+                </div>
+            )}
         </div>
     );
 };
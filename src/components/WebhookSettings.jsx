@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+
+const EVENTS = ['started', 'paused', 'stopped', 'finished', 'overtime-entered', 'threshold-reached'];
+
+const deliveryLabel = (last) => {
+    if (!last) return 'Nessun invio';
+    const time = new Date(last.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    const outcome = last.ok ? `OK ${last.status}` : (last.error || `HTTP ${last.status}`);
+    return `${last.event} · ${outcome} · ${time}${last.attempts > 1 ? ` (${last.attempts} tentativi)` : ''}`;
+};
+
+const WebhookSettings = ({ webhooks, onAdd, onRemove, onTest }) => {
+    const [url, setUrl] = useState('');
+    const [events, setEvents] = useState(EVENTS);
+
+    const toggleEvent = (event) => setEvents(prev =>
+        prev.includes(event) ? prev.filter(e => e !== event) : [...prev, event]
+    );
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!/^https?:\/\//i.test(url.trim()) || events.length === 0) return;
+        onAdd({ url: url.trim(), events });
+        setUrl('');
+    };
+
+    return (
+        <div>
+            <h3 style={{ marginBottom: '0.5rem', fontSize: '0.9rem', color: 'var(--text-secondary)' }}>WEBHOOKS</h3>
+
+            <div className="flex-col" style={{ gap: '0.5rem', marginBottom: '0.75rem' }}>
+                {webhooks.map(hook => (
+                    <div key={hook.id} style={{ fontSize: '0.75rem' }}>
+                        <div style={{ display: 'flex', gap: '0.3rem', alignItems: 'center' }}>
+                            <span
+                                title={hook.url}
+                                style={{ flex: 1, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}
+                            >
+                                {hook.url}
+                            </span>
+                            <button type="button" className="btn-small" onClick={() => onTest(hook.id)}>Test</button>
+                            <button
+                                type="button"
+                                className="btn-small"
+                                style={{ background: 'transparent', color: 'var(--text-secondary)' }}
+                                onClick={() => onRemove(hook.id)}
+                                title="Rimuovi"
+                            >
+                                ×
+                            </button>
+                        </div>
+                        <div style={{ color: hook.last && !hook.last.ok ? 'var(--danger-color)' : 'var(--text-secondary)' }}>
+                            {deliveryLabel(hook.last)}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            <form onSubmit={handleSubmit} className="flex-col" style={{ gap: '0.4rem' }}>
+                <input
+                    className="input-small"
+                    placeholder="http://192.168.1.10/hook"
+                    value={url}
+                    onChange={(e) => setUrl(e.target.value)}
+                />
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.2rem 0.6rem', fontSize: '0.7rem' }}>
+                    {EVENTS.map(event => (
+                        <label key={event} style={{ display: 'flex', gap: '0.25rem', alignItems: 'center', cursor: 'pointer' }}>
+                            <input type="checkbox" checked={events.includes(event)} onChange={() => toggleEvent(event)} />
+                            {event}
+                        </label>
+                    ))}
+                </div>
+                <button type="submit" className="btn-small" style={{ alignSelf: 'flex-end' }} disabled={webhooks.length >= 10}>
+                    Add
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default WebhookSettings;
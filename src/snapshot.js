@@ -0,0 +1,19 @@
+// Last state the server sent for a room. A speaker screen reloaded while the
+// Wi-Fi is down comes back from the PWA cache with no server to ask; with this
+// it resumes counting from where it was instead of showing 00:00.
+const SNAPSHOT_KEY = 'sunstop-snapshot';
+
+export const loadSnapshot = (room) => {
+    try {
+        const snapshot = JSON.parse(localStorage.getItem(SNAPSHOT_KEY));
+        return snapshot && snapshot.room === room ? snapshot : null;
+    } catch {
+        return null;
+    }
+};
+
+// `changes` is { timer } or { rundown }
+export const saveSnapshot = (room, changes) => {
+    const snapshot = { ...loadSnapshot(room), ...changes, room };
+    localStorage.setItem(SNAPSHOT_KEY, JSON.stringify(snapshot));
+};
@@ -0,0 +1,17 @@
+// Duration helpers shared by the director panels (not the big display)
+
+// MM:SS below an hour, H:MM:SS from there on
+export const formatDuration = (totalSeconds) => {
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = totalSeconds % 60;
+    const mmss = `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+    return h > 0 ? `${h}:${mmss}` : mmss;
+};
+
+// Accepts "H:MM:SS", "MM:SS" or plain minutes ("20")
+export const parseDuration = (text) => {
+    const parts = text.trim().split(':');
+    if (parts.length === 1) return parseInt(parts[0] || '0', 10) * 60;
+    return parts.slice(-3).reduce((total, part) => total * 60 + parseInt(part || '0', 10), 0);
+};
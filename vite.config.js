@@ -8,7 +8,13 @@ export default defineConfig({
     react(),
     VitePWA({
       registerType: 'autoUpdate',
-      includeAssets: ['favicon.png', 'logo192.png', 'pwa-192x192.png', 'pwa-512x512.png'],
+      includeAssets: ['favicon.png', 'logo192.png', 'pwa-192x192.png', 'pwa-512x512.png', 'sounds/*.wav'],
+      workbox: {
+        // Any page URL (?view=speaker&token=...) opens the cached app shell when
+        // offline; the REST API (report downloads) and the pages the server renders
+        // itself (certificate, discovery) must still reach the server
+        navigateFallbackDenylist: [/^\/api\//, /^\/ca(\.crt)?$/, /^\/discover(\.json)?$/]
+      },
       manifest: {
         name: 'Sun Stop Timer',
         short_name: 'Sun Stop',